@@ -0,0 +1,47 @@
+using Microsoft.AspNetCore.Builder;
+using Microsoft.AspNetCore.Http;
+
+namespace TheNerdCollective.Blazor.Reconnect;
+
+/// <summary>
+/// Extension methods for serving the offline fallback service worker.
+/// </summary>
+public static class ApplicationBuilderExtensions
+{
+    /// <summary>
+    /// Path of the offline fallback service worker script, relative to the app's path base.
+    /// </summary>
+    public const string ServiceWorkerPath = "/_content/TheNerdCollective.Blazor.Reconnect/js/blazor-reconnect-sw.js";
+
+    /// <summary>
+    /// Adds a <c>Service-Worker-Allowed</c> header to the offline fallback worker script, so the
+    /// worker can be registered for the whole app (<c>serviceWorkerScope: './'</c>) even though
+    /// it is served from <c>_content/</c>. Call it before <c>MapStaticAssets()</c> / <c>UseStaticFiles()</c>.
+    /// </summary>
+    /// <param name="app">The application builder.</param>
+    /// <param name="scope">Highest scope the worker may control, relative to the path base (default: "/"). Must start with "/".</param>
+    /// <returns>The application builder for chaining.</returns>
+    /// <exception cref="ArgumentException"><paramref name="scope"/> does not start with "/".</exception>
+    public static IApplicationBuilder UseBlazorReconnectServiceWorker(
+        this IApplicationBuilder app,
+        string scope = "/")
+    {
+        ArgumentNullException.ThrowIfNull(app);
+        ArgumentException.ThrowIfNullOrEmpty(scope);
+        if (!scope.StartsWith('/'))
+        {
+            // Fail at startup: PathString would reject it on every worker request. "./" is the
+            // JS-side serviceWorkerScope, which is relative to <base href>, not a path.
+            throw new ArgumentException($"Scope '{scope}' must start with '/', relative to the path base (e.g. \"/\").", nameof(scope));
+        }
+
+        return app.Use(async (context, next) =>
+        {
+            if (context.Request.Path.Equals(ServiceWorkerPath, StringComparison.OrdinalIgnoreCase))
+            {
+                context.Response.Headers["Service-Worker-Allowed"] = context.Request.PathBase.Add(scope).Value;
+            }
+            await next();
+        });
+    }
+}
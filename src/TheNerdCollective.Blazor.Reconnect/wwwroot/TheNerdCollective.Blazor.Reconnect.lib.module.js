@@ -0,0 +1,22 @@
+/**
+ * Blazor JS initializer for TheNerdCollective.Blazor.Reconnect
+ *
+ * Loaded automatically by blazor.web.js / blazor.server.js because of its file name.
+ * Tells blazor-reconnect.js the moment the interactive server circuit has started, so
+ * its interactivityGate can replay clicks made on the prerendered page. Nothing else.
+ */
+
+function notifyServerStarted() {
+    window.__blazorReconnectServerStarted = true;
+    document.dispatchEvent(new Event('blazor-reconnect:server-started'));
+}
+
+// Blazor Web App (.NET 8+)
+export function afterServerStarted() {
+    notifyServerStarted();
+}
+
+// Blazor Server with blazor.server.js (.NET 6 / 7)
+export function afterStarted() {
+    notifyServerStarted();
+}
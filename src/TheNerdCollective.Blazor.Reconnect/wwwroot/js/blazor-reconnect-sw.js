@@ -0,0 +1,162 @@
+/**
+ * Blazor Reconnect — offline fallback service worker
+ *
+ * Registered by blazor-reconnect.js when config.serviceWorker is true. Never loaded otherwise.
+ *
+ * Problem: when the server is truly down, "Reload page" (or any navigation) lands on the
+ * browser's own "This site can't be reached" page — our script is gone and nothing will
+ * bring the user back when the server recovers.
+ *
+ * This worker only touches top-level navigations inside its scope. It passes them to the
+ * network and only answers itself when that fails: the origin is unreachable (network error)
+ * or a proxy reports the app as down (502 / 503 / 504 by default). Then it serves a small
+ * branded shell at the same URL. The shell polls the health URL and reloads once the
+ * server answers 2xx, so the user ends up on the page they asked for.
+ *
+ * Settings come from the registration URL's query string (built by blazor-reconnect.js), so
+ * changing them registers an updated worker:
+ *   health, interval, statuses, lang, title, subtitle, status, button, color, logo
+ */
+'use strict';
+
+const params = new URL(self.location.href).searchParams;
+
+const settings = {
+    healthUrl: params.get('health') || '/health',
+    intervalMs: Math.max(1000, Number(params.get('interval')) || 5000),
+    statuses: (params.get('statuses') ?? '502,503,504').split(',').map(Number).filter(Boolean),
+    lang: params.get('lang') || 'en',
+    title: params.get('title') || 'The server is unavailable',
+    subtitle: params.get('subtitle') || 'This page will reload by itself as soon as the server is back.',
+    statusText: params.get('status') || 'Checking server availability…',
+    buttonText: params.get('button') || 'Reload page',
+    primaryColor: params.get('color') || '#594AE2',
+    logoUrl: params.get('logo') || null
+};
+
+// The logo is precached so the shell stays branded while the origin is unreachable.
+const CACHE_NAME = 'blazor-reconnect-offline-v1';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        if (settings.logoUrl) {
+            const cache = await caches.open(CACHE_NAME);
+            await cache.add(settings.logoUrl).catch(() => {});
+        }
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('blazor-reconnect-offline-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(navigateOrShell(request));
+        return;
+    }
+
+    if (settings.logoUrl && new URL(request.url).href === new URL(settings.logoUrl, self.location.origin).href) {
+        event.respondWith(fetch(request).catch(async () => (await caches.match(settings.logoUrl)) || Response.error()));
+    }
+});
+
+async function navigateOrShell(request) {
+    try {
+        const response = await fetch(request);
+        if (!settings.statuses.includes(response.status)) return response;
+        return offlineShell(response.status);
+    } catch {
+        return offlineShell(null);
+    }
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function offlineShell(status) {
+    const logo = settings.logoUrl
+        ? `<img src="${escapeHtml(settings.logoUrl)}" alt="" style="max-height:56px;max-width:180px;margin:0 auto 1rem;display:block;object-fit:contain">`
+        : '';
+    const html = `<!doctype html>
+<html lang="${escapeHtml(settings.lang)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(settings.title)}</title>
+<style>
+    :root { color-scheme: light dark; --primary: ${escapeHtml(settings.primaryColor)}; }
+    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+           font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; background: #f4f4f7; color: #333; }
+    main { background: #fff; padding: 2rem; border-radius: 8px; max-width: 400px; width: 90%; text-align: center;
+           box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+    h1 { margin: 0 0 0.5rem; font-size: 1.25rem; }
+    p { margin: 0 0 1.25rem; color: #666; font-size: 0.95rem; }
+    #status { font-size: 0.8rem; color: #999; }
+    .spinner { width: 40px; height: 40px; margin: 0 auto 1rem; border: 3px solid rgba(0, 0, 0, 0.1);
+               border-top-color: var(--primary); border-radius: 50%; animation: spin 1s linear infinite; }
+    button { background: var(--primary); color: #fff; border: none; padding: 0.6rem 2rem; border-radius: 4px;
+             cursor: pointer; font: inherit; font-weight: 500; }
+    @keyframes spin { to { transform: rotate(360deg); } }
+    @media (prefers-color-scheme: dark) {
+        body { background: #121218; color: #e6e6eb; }
+        main { background: #1e1e2d; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5); }
+        p { color: #b4b4c0; }
+        #status { color: #7c7c8a; }
+    }
+    @media (prefers-reduced-motion: reduce) { .spinner { animation: none; } }
+</style>
+</head>
+<body>
+<main role="alert" aria-live="polite">
+    ${logo}
+    <div class="spinner" aria-hidden="true"></div>
+    <h1>${escapeHtml(settings.title)}</h1>
+    <p>${escapeHtml(settings.subtitle)}</p>
+    <p id="status">${escapeHtml(settings.statusText)}</p>
+    <button type="button" id="reload">${escapeHtml(settings.buttonText)}</button>
+</main>
+<script>
+(function () {
+    var healthUrl = ${JSON.stringify(settings.healthUrl).replace(/</g, '\\u003c')};
+    var intervalMs = ${settings.intervalMs};
+    var busy = false;
+    function check() {
+        if (busy || navigator.onLine === false) return;
+        busy = true;
+        fetch(healthUrl, { cache: 'no-store' }).then(function (r) {
+            busy = false;
+            if (r.ok) location.reload();
+        }, function () { busy = false; });
+    }
+    setInterval(check, intervalMs);
+    window.addEventListener('online', check);
+    document.addEventListener('visibilitychange', function () { if (document.visibilityState === 'visible') check(); });
+    document.getElementById('reload').addEventListener('click', function () { location.reload(); });
+    check();
+})();
+</script>
+</body>
+</html>`;
+    return new Response(html, {
+        status: 503,
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'Retry-After': String(Math.round(settings.intervalMs / 1000)),
+            'X-Blazor-Reconnect-Offline-Shell': status === null ? 'network-error' : String(status)
+        }
+    });
+}
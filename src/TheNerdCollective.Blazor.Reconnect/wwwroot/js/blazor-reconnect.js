@@ -23,11 +23,21 @@
  * - Phase 2: server-alive ping starts IMMEDIATELY (serverPingStartDelayMs=0) the
  *            instant the circuit drops, in parallel with Phase 1. AbortController
  *            cancels any in-flight fetch the instant Blazor reconnects the circuit.
- *            circuitReconnected guard prevents reload if hide() fires just before
- *            a ping response lands. A 2xx during the grace period triggers a reload
+ *            A ping response that lands after hide() sees the 'connected' state
+ *            and is dropped. A 2xx during the grace period triggers a reload
  *            before the modal is ever shown.
+ * - serverReadyStatuses / serverReadyPredicate: a 2xx only counts as "server back"
+ *            when the parsed /health status is ready (e.g. not 'Degraded').
+ *            Retry-After on ping responses stretches the Phase 2 interval.
+ * - reloadJitterMilliseconds: spreads server-back reloads over a random window
+ *            (or the one suggested by /health) with a visible countdown, so a
+ *            deploy doesn't stampede the fresh instance.
+ * - resumeCircuitBeforeReload (.NET 10): Blazor.resumeCircuit() is tried before
+ *            any "server back" / rejected-circuit reload; paused circuits get their
+ *            own Resume modal.
  * - visibilitychange: ALWAYS calls Blazor.reconnect() on visibility restore.
- *            Sets wokenFromVisibility=true for diagnostics. If disconnect already
+ *            Records the wake so a disconnect found right after starts Phase 2 at
+ *            0ms (wokenFromVisibility in status()). If disconnect already
  *            visible, fires an additional immediate one-shot ping.
  * - window.focus: ALWAYS calls Blazor.reconnect() when the browser WINDOW regains
  *            focus (desktop alt-tab / minimise). Covers the gap where visibilitychange
@@ -40,9 +50,70 @@
  * - Polls Blazor's reconnect state every 250ms (reliable, no MutationObserver races)
  * - Re-hooks Blazor's reconnectionHandler every 5s so it survives server restarts
  * - Suppresses noisy console errors during disconnection
- * - Lifecycle callbacks: onReconnecting / onReconnected / onFailed / onServerBack
+ * - Lifecycle callbacks: onReconnecting / onReconnected / onFailed / onServerBack,
+ *            each called with the detail of the matching event-stream event
+ * - Event stream: window.BlazorReconnect is an EventTarget emitting disconnect,
+ *            grace-expired, ping-attempt, ping-failed, server-back, reload and
+ *            circuit-restored events with timing, attempt counts and trigger.
+ * - telemetryEndpoint (opt-in): sendBeacon outage records (queued offline /
+ *            across reloads) for SessionMonitor's reconnect-telemetry endpoint.
  * - safeReload(): all programmatic reloads save scroll position first
+ *            (and, with preserveFormState, a snapshot of form field values)
+ * - Reload-loop protection: automatic reloads are counted per tab; error-driven
+ *            reloads back off exponentially and a diagnostic screen (last errors,
+ *            "copy details") replaces the reload once the cap is reached.
+ * - Localization: bundled en / da / de / sv / nb packs picked from config.locale,
+ *            <html lang> or navigator.languages, with plural-aware countdowns.
+ * - Theming: modals read --mud-palette-* (live, so ThemeKit switches apply), honor
+ *            prefers-color-scheme / prefers-contrast, and expose --blazor-reconnect-*
+ *            custom properties for overrides.
+ * - shadowDom (opt-in): the modal is a <nerd-reconnect-dialog> custom element with a shadow
+ *            root, named slots (logo / title / actions) and ::part() styling hooks.
+ * - csp: no inline <style> or style= attributes — a shipped static stylesheet plus
+ *            CSSOM styles; the script tag's nonce is picked up and stamped on anything
+ *            the script injects, so style-src needs no 'unsafe-inline'.
+ * - Accessibility: focus moves into the dialog and Tab is trapped there, the page
+ *            behind is inert, focus returns to where it was on close, and state
+ *            changes are announced through a throttled aria-live region.
+ * - displayMode: 'modal' (overlay), 'banner', 'toast' (non-blocking, dismissible)
+ *            or 'silent'. Same state machine in every mode; the page's controls are
+ *            greyed out via <html data-blazor-reconnect-state="disconnected">.
+ * - offlineDetection: navigator.onLine === false gets its own "You are offline" copy
+ *            and icon; Phase 2 pauses until the 'online' event. Slow connections
+ *            (Network Information API) are called out on the status line.
+ * - connectionQuality (opt-in): serverPingUrl round trips are timed while connected;
+ *            slow / poor averages show a small indicator and emit 'connection-quality'.
+ * - interactivityGate (opt-in): clicks / submits on the prerendered page are held
+ *            with a loading affordance and replayed (or rejected) once the circuit
+ *            has started — signalled by the package's JS initializer.
+ * - idle policy (opt-in, idleTimeoutMilliseconds): a tab hidden without input for that
+ *            long stops reconnecting and shows a calm "session paused" card; the next
+ *            click or key press reconnects, resumes (.NET 10) or reloads.
+ * - serviceWorker (opt-in): a service worker serves a branded "server unavailable"
+ *            page for navigations while the origin is down and reloads it once
+ *            /health answers — manual reloads never hit the browser's error page.
+ * - routePolicies / data-reconnect-policy: per-page overrides of auto-reload, grace
+ *            period, requireFailedPingBeforeModal and the reload target, resolved
+ *            against the current location when the circuit drops.
+ * - authProbeUrl (opt-in): before reloading, an authenticated endpoint is probed; a
+ *            401 / 403 / redirect shows a "sign in again" card (redirect with
+ *            returnUrl, or a popup) instead of bouncing the user to the login page.
+ * - tabIndicator (opt-in): document.title gets a state prefix and the favicon a coloured
+ *            badge while the reconnect UI is up, so background tabs show the outage.
+ * - healthProbe: Phase 2 probes are strategies — one URL (GET or HEAD), a race of
+ *            several URLs, N ready answers in a row, or a custom async function.
+ * - desktopNotifications (opt-in): after the user allows it from the modal's link, a
+ *            server-back in a hidden tab raises a notification; clicking it focuses
+ *            the tab and reloads.
+ * - State machine: each disconnect cycle moves through named states (grace, reconnecting,
+ *            waiting, server-back…); moves that aren't in the transition table are
+ *            rejected. Reported by status() and 'state-change' events.
+ *            BlazorReconnect.simulate() plays scripted outages on a fake clock, isolated
+ *            from the real page, for deterministic tests.
  * - prefers-reduced-motion: spinner animation paused for motion-sensitive users
+ * - crossTabCoordination (opt-in): one leader tab runs the Phase 2 ping and
+ *            broadcasts "server back" over BroadcastChannel; hidden tabs reload
+ *            lazily on their next visibilitychange.
  *
  * Platform trigger coverage:
  *   Desktop browser  — visibilitychange (tab switch) + window.focus (alt-tab/minimise)
@@ -73,11 +144,338 @@
 
 (() => {
     'use strict';
-    
+
+    // ===== CLOCK =====
+    //
+    // The timers and timestamps of the disconnect cycle itself (grace period, retry
+    // countdown, Phase 2 polling, jittered reload, offline and state timestamps) go through
+    // `cycleClock`, so the scenario simulator (BlazorReconnect.simulate) can swap in a fake
+    // one and play a whole outage in milliseconds. Everything around the cycle (idle policy,
+    // connection quality, interactivity gate, announcer, form restore, polling, reload-loop
+    // history) uses the real timers and Date.now(), so a run neither drives nor drops them.
+
+    const realClock = {
+        now: () => Date.now(),
+        setTimeout: (fn, ms) => window.setTimeout(fn, ms),
+        clearTimeout: (id) => window.clearTimeout(id),
+        setInterval: (fn, ms) => window.setInterval(fn, ms),
+        clearInterval: (id) => window.clearInterval(id)
+    };
+    let cycleClock = realClock;
+    let simulation = null;             // BlazorReconnect.simulate() run in progress (see SCENARIO SIMULATOR)
+
+    // ===== LOCALIZATION =====
+    //
+    // Bundled text packs for every string the reconnect UI shows. The active pack is chosen
+    // from config.locale, else <html lang>, else navigator.languages (first supported match
+    // on the primary subtag; 'no' / 'nn' map to 'nb'), falling back to English. Keys set
+    // directly in the config still win over the pack, and config.locales can add or patch
+    // packs: { fi: { title: 'Yhteys katkesi', ... } }.
+    //
+    // Countdown / attempt strings take {count} and may be plural objects keyed by
+    // Intl.PluralRules categories ({ one: '…', other: '…' }); a plain string works too.
+
+    const LOCALES = {
+        en: {
+            title: 'Connection lost',
+            subtitle: 'The connection was interrupted. Attempting to reconnect\u2026',
+            statusText: 'Reconnecting\u2026',
+            reloadButtonText: 'Reload now',
+            retryingText: 'Retrying\u2026',
+            retryCountdownText: { one: 'Retrying in {count} second\u2026', other: 'Retrying in {count} seconds\u2026' },
+            failedTitle: 'Waiting for server\u2026',
+            failedSubtitle: 'The connection was lost. Checking server availability\u2026',
+            failedReloadButtonText: 'Reload page',
+            checkingText: 'Checking\u2026',
+            pingWaitingText: 'Checking server availability\u2026',
+            pingAttemptText: 'Checking server availability\u2026 (attempt {count})',
+            offlineTitle: 'You are offline',
+            offlineSubtitle: 'Check your network connection. We will reconnect automatically as soon as you are back online.',
+            offlineStatusText: 'Waiting for network\u2026',
+            offlineShellTitle: 'The server is unavailable',
+            offlineShellSubtitle: 'This page will reload by itself as soon as the server is back.',
+            slowConnectionText: 'Slow connection ({type}) — this may take a little longer.',
+            connectionSlowText: 'Slow connection',
+            connectionPoorText: 'Very slow connection',
+            serverBackTitle: 'Server is available!',
+            serverBackManualSubtitle: 'The server is back online.',
+            serverBackManualButtonText: 'Reload now',
+            serverBackCountdownText: { one: 'The server is back online. Reloading in {count} second\u2026', other: 'The server is back online. Reloading in {count} seconds\u2026' },
+            restoredText: 'Connection restored',
+            dismissButtonText: 'Dismiss',
+            pausedTitle: 'Session paused',
+            pausedSubtitle: 'The session has been paused by the server.',
+            resumeButtonText: 'Resume',
+            resumeFailedTitle: 'Could not resume',
+            resumeFailedSubtitle: 'The session could not be resumed. Please try again in a moment.',
+            resumeFailedButtonText: 'Retry',
+            notifyButtonText: 'Notify me when the app is back',
+            notificationTitle: 'App is available again',
+            notificationBody: 'Click to reload and continue where you left off.',
+            tabTitleReconnectingText: 'Reconnecting\u2026',
+            tabTitleWaitingText: 'Connection lost',
+            tabTitleServerBackText: 'Server is back',
+            sessionExpiredTitle: 'Your session has expired',
+            sessionExpiredSubtitle: 'Please sign in again to continue where you left off.',
+            signInButtonText: 'Sign in',
+            idleTitle: 'Session paused',
+            idleSubtitle: 'You have been away for a while, so the connection was paused to save resources. Click anywhere to continue.',
+            idleButtonText: 'Continue',
+            reloadLoopTitle: 'Something went wrong',
+            reloadLoopSubtitle: 'The app kept reloading without recovering. Try again in a moment, or send the details below to support.',
+            reloadLoopCopyButtonText: 'Copy details',
+            reloadLoopCopiedText: 'Copied',
+            reloadLoopRetryButtonText: 'Try again'
+        },
+        da: {
+            title: 'Forbindelsen blev afbrudt',
+            subtitle: 'Forbindelsen blev afbrudt. Forsøger at genoprette forbindelsen\u2026',
+            statusText: 'Genopretter forbindelsen\u2026',
+            reloadButtonText: 'Genindlæs nu',
+            retryingText: 'Prøver igen\u2026',
+            retryCountdownText: { one: 'Prøver igen om {count} sekund\u2026', other: 'Prøver igen om {count} sekunder\u2026' },
+            failedTitle: 'Venter på serveren\u2026',
+            failedSubtitle: 'Forbindelsen blev afbrudt. Tjekker om serveren er tilgængelig\u2026',
+            failedReloadButtonText: 'Genindlæs siden',
+            checkingText: 'Tjekker\u2026',
+            pingWaitingText: 'Tjekker om serveren er tilgængelig\u2026',
+            pingAttemptText: 'Tjekker om serveren er tilgængelig\u2026 (forsøg {count})',
+            offlineTitle: 'Du er offline',
+            offlineSubtitle: 'Tjek din netværksforbindelse. Vi genopretter forbindelsen automatisk, så snart du er online igen.',
+            offlineStatusText: 'Venter på netværk\u2026',
+            offlineShellTitle: 'Serveren er ikke tilgængelig',
+            offlineShellSubtitle: 'Siden genindlæses automatisk, så snart serveren er tilbage.',
+            slowConnectionText: 'Langsom forbindelse ({type}) — det kan tage lidt længere tid.',
+            connectionSlowText: 'Langsom forbindelse',
+            connectionPoorText: 'Meget langsom forbindelse',
+            serverBackTitle: 'Serveren er tilgængelig!',
+            serverBackManualSubtitle: 'Serveren er online igen.',
+            serverBackManualButtonText: 'Genindlæs nu',
+            serverBackCountdownText: { one: 'Serveren er online igen. Genindlæser om {count} sekund\u2026', other: 'Serveren er online igen. Genindlæser om {count} sekunder\u2026' },
+            restoredText: 'Forbindelsen er genoprettet',
+            dismissButtonText: 'Luk',
+            pausedTitle: 'Sessionen er sat på pause',
+            pausedSubtitle: 'Serveren har sat sessionen på pause.',
+            resumeButtonText: 'Fortsæt',
+            resumeFailedTitle: 'Kunne ikke fortsætte',
+            resumeFailedSubtitle: 'Sessionen kunne ikke genoptages. Prøv igen om et øjeblik.',
+            resumeFailedButtonText: 'Prøv igen',
+            notifyButtonText: 'Giv mig besked, når appen er tilbage',
+            notificationTitle: 'Appen er tilgængelig igen',
+            notificationBody: 'Klik for at genindlæse og fortsætte, hvor du slap.',
+            tabTitleReconnectingText: 'Genopretter forbindelse\u2026',
+            tabTitleWaitingText: 'Forbindelse afbrudt',
+            tabTitleServerBackText: 'Serveren er tilbage',
+            sessionExpiredTitle: 'Din session er udløbet',
+            sessionExpiredSubtitle: 'Log ind igen for at fortsætte, hvor du slap.',
+            signInButtonText: 'Log ind',
+            idleTitle: 'Sessionen er sat på pause',
+            idleSubtitle: 'Du har været væk et stykke tid, så forbindelsen er sat på pause for at spare ressourcer. Klik hvor som helst for at fortsætte.',
+            idleButtonText: 'Fortsæt',
+            reloadLoopTitle: 'Noget gik galt',
+            reloadLoopSubtitle: 'Siden blev ved med at genindlæse uden at komme på fode igen. Prøv igen om lidt, eller send detaljerne nedenfor til support.',
+            reloadLoopCopyButtonText: 'Kopiér detaljer',
+            reloadLoopCopiedText: 'Kopieret',
+            reloadLoopRetryButtonText: 'Prøv igen'
+        },
+        de: {
+            title: 'Verbindung unterbrochen',
+            subtitle: 'Die Verbindung wurde unterbrochen. Verbindung wird wiederhergestellt\u2026',
+            statusText: 'Verbindung wird wiederhergestellt\u2026',
+            reloadButtonText: 'Jetzt neu laden',
+            retryingText: 'Neuer Versuch\u2026',
+            retryCountdownText: { one: 'Neuer Versuch in {count} Sekunde\u2026', other: 'Neuer Versuch in {count} Sekunden\u2026' },
+            failedTitle: 'Warte auf den Server\u2026',
+            failedSubtitle: 'Die Verbindung ist verloren gegangen. Verfügbarkeit des Servers wird geprüft\u2026',
+            failedReloadButtonText: 'Seite neu laden',
+            checkingText: 'Wird geprüft\u2026',
+            pingWaitingText: 'Verfügbarkeit des Servers wird geprüft\u2026',
+            pingAttemptText: 'Verfügbarkeit des Servers wird geprüft\u2026 (Versuch {count})',
+            offlineTitle: 'Sie sind offline',
+            offlineSubtitle: 'Prüfen Sie Ihre Netzwerkverbindung. Die Verbindung wird automatisch wiederhergestellt, sobald Sie wieder online sind.',
+            offlineStatusText: 'Warte auf Netzwerk\u2026',
+            offlineShellTitle: 'Der Server ist nicht erreichbar',
+            offlineShellSubtitle: 'Diese Seite wird automatisch neu geladen, sobald der Server wieder verfügbar ist.',
+            slowConnectionText: 'Langsame Verbindung ({type}) — das kann etwas länger dauern.',
+            connectionSlowText: 'Langsame Verbindung',
+            connectionPoorText: 'Sehr langsame Verbindung',
+            serverBackTitle: 'Server ist verfügbar!',
+            serverBackManualSubtitle: 'Der Server ist wieder online.',
+            serverBackManualButtonText: 'Jetzt neu laden',
+            serverBackCountdownText: { one: 'Der Server ist wieder online. Neu laden in {count} Sekunde\u2026', other: 'Der Server ist wieder online. Neu laden in {count} Sekunden\u2026' },
+            restoredText: 'Verbindung wiederhergestellt',
+            dismissButtonText: 'Schließen',
+            pausedTitle: 'Sitzung pausiert',
+            pausedSubtitle: 'Die Sitzung wurde vom Server pausiert.',
+            resumeButtonText: 'Fortsetzen',
+            resumeFailedTitle: 'Fortsetzen fehlgeschlagen',
+            resumeFailedSubtitle: 'Die Sitzung konnte nicht fortgesetzt werden. Bitte versuchen Sie es gleich noch einmal.',
+            resumeFailedButtonText: 'Erneut versuchen',
+            notifyButtonText: 'Benachrichtigen, wenn die App wieder da ist',
+            notificationTitle: 'Die App ist wieder verfügbar',
+            notificationBody: 'Klicken, um neu zu laden und dort weiterzumachen, wo Sie aufgehört haben.',
+            tabTitleReconnectingText: 'Verbinde erneut\u2026',
+            tabTitleWaitingText: 'Verbindung verloren',
+            tabTitleServerBackText: 'Server ist zurück',
+            sessionExpiredTitle: 'Ihre Sitzung ist abgelaufen',
+            sessionExpiredSubtitle: 'Bitte melden Sie sich erneut an, um dort weiterzumachen, wo Sie aufgehört haben.',
+            signInButtonText: 'Anmelden',
+            idleTitle: 'Sitzung pausiert',
+            idleSubtitle: 'Sie waren eine Weile abwesend, daher wurde die Verbindung pausiert, um Ressourcen zu sparen. Klicken Sie irgendwo, um fortzufahren.',
+            idleButtonText: 'Fortfahren',
+            reloadLoopTitle: 'Etwas ist schiefgelaufen',
+            reloadLoopSubtitle: 'Die Anwendung wurde wiederholt neu geladen, ohne sich zu erholen. Versuchen Sie es gleich noch einmal oder senden Sie die Details unten an den Support.',
+            reloadLoopCopyButtonText: 'Details kopieren',
+            reloadLoopCopiedText: 'Kopiert',
+            reloadLoopRetryButtonText: 'Erneut versuchen'
+        },
+        sv: {
+            title: 'Anslutningen bröts',
+            subtitle: 'Anslutningen avbröts. Försöker återansluta\u2026',
+            statusText: 'Återansluter\u2026',
+            reloadButtonText: 'Ladda om nu',
+            retryingText: 'Försöker igen\u2026',
+            retryCountdownText: { one: 'Försöker igen om {count} sekund\u2026', other: 'Försöker igen om {count} sekunder\u2026' },
+            failedTitle: 'Väntar på servern\u2026',
+            failedSubtitle: 'Anslutningen förlorades. Kontrollerar om servern är tillgänglig\u2026',
+            failedReloadButtonText: 'Ladda om sidan',
+            checkingText: 'Kontrollerar\u2026',
+            pingWaitingText: 'Kontrollerar om servern är tillgänglig\u2026',
+            pingAttemptText: 'Kontrollerar om servern är tillgänglig\u2026 (försök {count})',
+            offlineTitle: 'Du är offline',
+            offlineSubtitle: 'Kontrollera din nätverksanslutning. Vi återansluter automatiskt så snart du är online igen.',
+            offlineStatusText: 'Väntar på nätverk\u2026',
+            offlineShellTitle: 'Servern är inte tillgänglig',
+            offlineShellSubtitle: 'Sidan laddas om automatiskt så snart servern är tillbaka.',
+            slowConnectionText: 'Långsam anslutning ({type}) — det kan ta lite längre tid.',
+            connectionSlowText: 'Långsam anslutning',
+            connectionPoorText: 'Mycket långsam anslutning',
+            serverBackTitle: 'Servern är tillgänglig!',
+            serverBackManualSubtitle: 'Servern är online igen.',
+            serverBackManualButtonText: 'Ladda om nu',
+            serverBackCountdownText: { one: 'Servern är online igen. Laddar om om {count} sekund\u2026', other: 'Servern är online igen. Laddar om om {count} sekunder\u2026' },
+            restoredText: 'Anslutningen är återställd',
+            dismissButtonText: 'Stäng',
+            pausedTitle: 'Sessionen är pausad',
+            pausedSubtitle: 'Sessionen har pausats av servern.',
+            resumeButtonText: 'Återuppta',
+            resumeFailedTitle: 'Kunde inte återuppta',
+            resumeFailedSubtitle: 'Sessionen kunde inte återupptas. Försök igen om en stund.',
+            resumeFailedButtonText: 'Försök igen',
+            notifyButtonText: 'Meddela mig när appen är tillbaka',
+            notificationTitle: 'Appen är tillgänglig igen',
+            notificationBody: 'Klicka för att ladda om och fortsätta där du slutade.',
+            tabTitleReconnectingText: 'Återansluter\u2026',
+            tabTitleWaitingText: 'Anslutningen bröts',
+            tabTitleServerBackText: 'Servern är tillbaka',
+            sessionExpiredTitle: 'Din session har gått ut',
+            sessionExpiredSubtitle: 'Logga in igen för att fortsätta där du slutade.',
+            signInButtonText: 'Logga in',
+            idleTitle: 'Sessionen är pausad',
+            idleSubtitle: 'Du har varit borta ett tag, så anslutningen pausades för att spara resurser. Klicka var som helst för att fortsätta.',
+            idleButtonText: 'Fortsätt',
+            reloadLoopTitle: 'Något gick fel',
+            reloadLoopSubtitle: 'Sidan laddades om upprepade gånger utan att återhämta sig. Försök igen om en stund eller skicka informationen nedan till supporten.',
+            reloadLoopCopyButtonText: 'Kopiera information',
+            reloadLoopCopiedText: 'Kopierat',
+            reloadLoopRetryButtonText: 'Försök igen'
+        },
+        nb: {
+            title: 'Forbindelsen ble brutt',
+            subtitle: 'Forbindelsen ble avbrutt. Prøver å koble til igjen\u2026',
+            statusText: 'Kobler til igjen\u2026',
+            reloadButtonText: 'Last inn på nytt',
+            retryingText: 'Prøver igjen\u2026',
+            retryCountdownText: { one: 'Prøver igjen om {count} sekund\u2026', other: 'Prøver igjen om {count} sekunder\u2026' },
+            failedTitle: 'Venter på serveren\u2026',
+            failedSubtitle: 'Forbindelsen ble borte. Sjekker om serveren er tilgjengelig\u2026',
+            failedReloadButtonText: 'Last inn siden på nytt',
+            checkingText: 'Sjekker\u2026',
+            pingWaitingText: 'Sjekker om serveren er tilgjengelig\u2026',
+            pingAttemptText: 'Sjekker om serveren er tilgjengelig\u2026 (forsøk {count})',
+            offlineTitle: 'Du er frakoblet',
+            offlineSubtitle: 'Sjekk nettverkstilkoblingen. Vi kobler til automatisk så snart du er på nett igjen.',
+            offlineStatusText: 'Venter på nettverk\u2026',
+            offlineShellTitle: 'Serveren er ikke tilgjengelig',
+            offlineShellSubtitle: 'Siden lastes inn på nytt automatisk så snart serveren er tilbake.',
+            slowConnectionText: 'Treg tilkobling ({type}) — dette kan ta litt lengre tid.',
+            connectionSlowText: 'Treg tilkobling',
+            connectionPoorText: 'Svært treg tilkobling',
+            serverBackTitle: 'Serveren er tilgjengelig!',
+            serverBackManualSubtitle: 'Serveren er tilbake på nett.',
+            serverBackManualButtonText: 'Last inn på nytt',
+            serverBackCountdownText: { one: 'Serveren er tilbake på nett. Laster inn på nytt om {count} sekund\u2026', other: 'Serveren er tilbake på nett. Laster inn på nytt om {count} sekunder\u2026' },
+            restoredText: 'Tilkoblingen er gjenopprettet',
+            dismissButtonText: 'Lukk',
+            pausedTitle: 'Økten er satt på pause',
+            pausedSubtitle: 'Serveren har satt økten på pause.',
+            resumeButtonText: 'Fortsett',
+            resumeFailedTitle: 'Kunne ikke fortsette',
+            resumeFailedSubtitle: 'Økten kunne ikke gjenopptas. Prøv igjen om litt.',
+            resumeFailedButtonText: 'Prøv igjen',
+            notifyButtonText: 'Varsle meg når appen er tilbake',
+            notificationTitle: 'Appen er tilgjengelig igjen',
+            notificationBody: 'Klikk for å laste inn på nytt og fortsette der du slapp.',
+            tabTitleReconnectingText: 'Kobler til igjen\u2026',
+            tabTitleWaitingText: 'Forbindelsen er brutt',
+            tabTitleServerBackText: 'Serveren er tilbake',
+            sessionExpiredTitle: 'Økten din er utløpt',
+            sessionExpiredSubtitle: 'Logg inn på nytt for å fortsette der du slapp.',
+            signInButtonText: 'Logg inn',
+            idleTitle: 'Økten er satt på pause',
+            idleSubtitle: 'Du har vært borte en stund, så tilkoblingen ble satt på pause for å spare ressurser. Klikk hvor som helst for å fortsette.',
+            idleButtonText: 'Fortsett',
+            reloadLoopTitle: 'Noe gikk galt',
+            reloadLoopSubtitle: 'Siden ble lastet inn på nytt gjentatte ganger uten å komme seg. Prøv igjen om litt, eller send detaljene nedenfor til kundestøtte.',
+            reloadLoopCopyButtonText: 'Kopier detaljer',
+            reloadLoopCopiedText: 'Kopiert',
+            reloadLoopRetryButtonText: 'Prøv igjen'
+        }
+    };
+
+    const userConfig = window.blazorReconnectConfig || window.blazorReconnectionConfig || {};
+
+    function resolveLocale(requested, packs) {
+        const candidates = requested && requested !== 'auto'
+            ? [requested]
+            : [document.documentElement.lang, ...(navigator.languages || [navigator.language])];
+        for (const tag of candidates) {
+            if (!tag) continue;
+            const lower = String(tag).toLowerCase();
+            if (packs[lower]) return lower;
+            const primary = lower.split(/[-_]/)[0];
+            const mapped = primary === 'no' || primary === 'nn' ? 'nb' : primary;
+            if (packs[mapped]) return mapped;
+        }
+        return 'en';
+    }
+
+    const localePacks = { ...LOCALES };
+    for (const [tag, pack] of Object.entries(userConfig.locales || {})) {
+        const key = tag.toLowerCase();
+        localePacks[key] = { ...(localePacks[key] || {}), ...pack };
+    }
+    const activeLocale = resolveLocale(userConfig.locale, localePacks);
+
+    // Resolves a text that may be a plural object and fills in {count}. {seconds} is the
+    // older serverBackCountdownText placeholder and is still filled in for existing overrides.
+    function formatText(text, count) {
+        if (text && typeof text === 'object') {
+            let category = count === 1 ? 'one' : 'other';
+            try { category = new Intl.PluralRules(activeLocale).select(count); } catch (e) {}
+            text = text[category] ?? text.other ?? '';
+        }
+        return String(text ?? '').replace(/\{(count|seconds)\}/g, count);
+    }
+
     // ===== CONFIGURATION =====
+
+    // A nonce is only readable while the <script> tag is executing, so capture it up front.
+    const scriptNonce = document.currentScript?.nonce || null;
+
     const config = {
         // Colors (used in the default built-in UI)
-        primaryColor: '#594AE2',
+        primaryColor: '#594AE2',   // fallback when --mud-palette-primary is absent; set explicitly to override it
 
         // Branding
         logoUrl: null,         // URL to a logo shown above the spinner (e.g. '/_content/MyApp/logo.png')
@@ -109,11 +507,42 @@
         // If the server responds while Phase 1 is still running, reload immediately.
         serverPingEnabled: true,
         serverPingUrl: '/health',                   // Any 2xx response triggers reload
+        healthProbe: null,                          // probe strategy; null = GET serverPingUrl (see HEALTH PROBE STRATEGIES)
         serverPingStartDelayMilliseconds: 0,        // Start pinging immediately when the circuit drops.
                                                     // stopServerPing() uses AbortController to cancel any
                                                     // in-flight fetch the instant Blazor reconnects.
         serverPingIntervalMilliseconds: 2000,       // ms between ping attempts (fast polling inside grace period)
+        honorRetryAfter: true,                      // a Retry-After header stretches the next ping interval…
+        serverPingMaxIntervalMilliseconds: 30000,   // …but never beyond this
         autoReloadOnServerBack: true,               // true = auto-reload; false = show a prompt
+        reloadUrl: null,                            // reload target; null = the current URL
+
+        // Per-route policies: override autoReloadOnServerBack, showDelayMilliseconds,
+        // requireFailedPingBeforeModal and reloadUrl for some pages. Evaluated against the
+        // current location each time the circuit drops.
+        //   routePolicies: [{ path: '/checkout/**', policy: 'payment' },
+        //                   { path: /^\/wizard\//, policy: { reloadUrl: '/wizard' } }]
+        //   reconnectPolicies: { payment: { autoReloadOnServerBack: false } }
+        // path: glob ('*' = one segment, '**' = anything), RegExp, or (url: URL) => boolean.
+        // A page can also name its policy on any element: data-reconnect-policy="payment"
+        // (or inline JSON); that wins over routePolicies.
+        routePolicies: [],
+        reconnectPolicies: {},
+
+        // While navigator.onLine is false, Phase 2 pauses (a fetch would fail instantly and
+        // says nothing about the server) and the UI shows offlineTitle / offlineSubtitle with
+        // an offline icon instead of "Waiting for server…". The 'online' event resumes it at
+        // once. On slow-2g / 2g (Network Information API) the status line says so.
+        offlineDetection: true,
+
+        // Thundering-herd protection: after a deploy every client sees /health turn 2xx within
+        // the same ping interval. With reloadJitterMilliseconds > 0 the server-back reload waits
+        // a random 0..N ms (with a "reloading in N s" countdown when the modal is visible) so
+        // load on the fresh instance ramps up gradually. The health response may suggest its own
+        // window — an X-Reload-Spread header or a JSON reloadSpreadSeconds field, both in
+        // seconds — which wins over the configured value, capped at reloadJitterMaxMilliseconds.
+        reloadJitterMilliseconds: 0,
+        reloadJitterMaxMilliseconds: 60000,
 
         // When true: the reconnect modal is suppressed until at LEAST ONE /health ping has
         // returned non-2xx (or a network error). This is the recommended setting for
@@ -124,45 +553,198 @@
         // Default false keeps the existing time-based behaviour for backward compatibility.
         requireFailedPingBeforeModal: false,
 
+        // Readiness: by default any 2xx counts as "server back". Set serverReadyStatuses to
+        // parse the ASP.NET Core HealthChecks body (JSON { status } or plain text) and only
+        // reload on those statuses, e.g. ['Healthy'] so 'Degraded' / warming-up keeps polling.
+        // serverReadyPredicate: (response, body, healthStatus) => boolean | Promise<boolean>
+        // replaces the status check entirely. Both are ignored for non-2xx responses.
+        serverReadyStatuses: null,
+        serverReadyPredicate: null,
+
+        // Auth-aware recovery (opt-in): /health is usually anonymous, so it says nothing about
+        // an auth cookie that expired while the tab slept. With authProbeUrl set, every
+        // "server back / circuit gone" recovery first fetches that endpoint (it must return
+        // 2xx for a signed-in user). 401, 403 or any redirect means the sign-in expired: a
+        // "sign in again" card replaces the blind reload. loginMode 'redirect' navigates to
+        // loginUrl?{returnUrlParameter}=<current page>; 'popup' signs in in a popup and
+        // recovers in place once authProbeUrl answers 2xx again.
+        authProbeUrl: null,
+        loginUrl: '/Account/Login',
+        loginMode: 'redirect',            // 'redirect' | 'popup'
+        returnUrlParameter: 'returnUrl',
+
+        // .NET 10: before reloading because the server is back (or the circuit was rejected /
+        // expired), try Blazor.resumeCircuit() so persisted component state survives the
+        // outage. Falls back to a normal reload when resume is unavailable or fails.
+        resumeCircuitBeforeReload: true,
+
+        // Offline fallback (opt-in): registers js/blazor-reconnect-sw.js, a service worker that
+        // answers navigations with a branded "server unavailable" page when the origin can't
+        // be reached (or a proxy returns serviceWorkerFallbackStatuses). That page polls
+        // serverPingUrl and reloads itself once the server is back — so "Reload page" during
+        // an outage no longer lands on the browser's own error page. The worker's URL lives
+        // under _content/, so the default app-root scope needs a Service-Worker-Allowed response
+        // header: app.UseBlazorReconnectServiceWorker() on the server adds it. Turning the
+        // option off again unregisters the worker.
+        serviceWorker: false,
+        serviceWorkerUrl: '_content/TheNerdCollective.Blazor.Reconnect/js/blazor-reconnect-sw.js',
+        serviceWorkerScope: './',                     // relative to <base href>: the app root
+        serviceWorkerFallbackStatuses: [502, 503, 504],
+
+        // Tab indicator (opt-in): while the reconnect UI is up, prefix document.title with the
+        // state ("(Connection lost) Orders") and badge the favicon, so a background tab shows
+        // the outage in the tab strip. Restored when the circuit comes back or the page reloads.
+        tabIndicator: false,
+
+        // Desktop notifications (opt-in): the reconnect modals get a "Notify me when the app is
+        // back" link (the permission prompt needs a user gesture). Once granted, a server-back
+        // in a hidden tab raises a notification. The tab then waits: clicking the notification
+        // (or switching back) focuses it and reloads.
+        desktopNotifications: false,
+
+        // Idle policy (opt-in): a tab left hidden with no input for idleTimeoutMilliseconds stops
+        // reconnecting — no Phase 2 polling, no Blazor retries (.NET 8+) — so the server isn't
+        // holding a circuit for a tab nobody is looking at. A dropped (or, with idlePauseCircuit
+        // on .NET 10, deliberately paused) circuit shows a calm "session paused" card and is
+        // only reconnected, resumed or reloaded on the user's next click or key press.
+        // idleRequireHidden: false also counts time spent visible but untouched.
+        idleTimeoutMilliseconds: 0,       // 0 = off; e.g. 1800000 (30 min)
+        idleRequireHidden: true,
+        idlePauseCircuit: true,           // .NET 10: Blazor.pauseCircuit() a healthy circuit once idle
+
         // Keep the primary reconnect UI visible even after Blazor exhausts its own reconnect loop.
         // Phase 2 server ping continues indefinitely and reloads automatically when the app is back.
         keepReconnectingUiOnFailure: false,
 
-        // Text labels — override for localisation or branding
-        title: 'Connection lost',
-        subtitle: 'The connection was interrupted. Attempting to reconnect\u2026',
-        statusText: 'Reconnecting\u2026',
-        reloadButtonText: 'Reload now',
-        failedTitle: 'Waiting for server\u2026',
-        failedSubtitle: 'The connection was lost. Checking server availability\u2026',
-        failedReloadButtonText: 'Reload page',
-        serverBackTitle: 'Server is available!',
-        serverBackManualSubtitle: 'The server is back online.',
-        serverBackManualButtonText: 'Reload now',
+        // Cross-tab coordination: when several tabs of the same app are open, only one
+        // "leader" tab runs the Phase 2 /health poll. When it sees the server come back it
+        // broadcasts to the other tabs over BroadcastChannel; visible tabs reload at once,
+        // hidden tabs reload lazily the next time they become visible.
+        // Requires BroadcastChannel (ignored silently when the browser lacks it).
+        crossTabCoordination: false,
+        crossTabChannelName: 'blazor-reconnect',
+
+        // Connection quality (opt-in): while connected and visible, serverPingUrl is fetched
+        // every connectionQualityIntervalMilliseconds and the round trip averaged over the last
+        // connectionQualitySamples. At or above the slow / poor threshold a small indicator
+        // (connectionSlowText / connectionPoorText) appears and a 'connection-quality' event
+        // fires so the app can switch to lighter rendering.
+        connectionQuality: false,
+        connectionQualityIntervalMilliseconds: 15000,
+        connectionQualitySamples: 3,
+        connectionQualitySlowMilliseconds: 600,
+        connectionQualityPoorMilliseconds: 1500,
+        connectionQualityIndicator: true,      // false = events and the <html> attribute only
+
+        // Accessibility: state changes (reconnecting, waiting for server, server back, restored)
+        // are announced through a polite aria-live region. Repeated updates such as the ping
+        // attempt counter are announced at most once per interval; countdowns stay silent.
+        liveAnnouncementIntervalMilliseconds: 10000,
+
+        // Form state preservation: snapshot input / textarea / select / MudSelect / Quill
+        // values when the circuit drops and restore them after a reconnect-triggered reload.
+        // Elements need a stable id, name or data-persist-key; password fields and anything
+        // inside [data-no-persist] are never stored. Snapshot lives in sessionStorage.
+        preserveFormState: false,
+        formStateMaxAgeMilliseconds: 30 * 60 * 1000,   // ignore snapshots older than this
+        formStateRestoreTimeoutMilliseconds: 15000,    // stop re-applying values after this
+
+        // Interactivity gate (opt-in): with prerendering, clicks on the server-rendered page
+        // before the circuit starts are silently lost. The gate holds them, marks the clicked
+        // element as loading (data-blazor-gate="pending", aria-busy) and, once Blazor is
+        // interactive, replays them ('replay') or drops them ('reject'). After the timeout
+        // the gate opens and anything still held is rejected.
+        interactivityGate: false,
+        interactivityGateMode: 'replay',
+        interactivityGateTimeoutMilliseconds: 10000,
+        interactivityGateSelector: 'button, input[type=submit], input[type=button], input[type=image], ' +
+            'input[type=checkbox], input[type=radio], [role=button], [role=checkbox], [role=switch], [role=tab], [role=menuitem]',
+
+        // Telemetry beacon: POST one record per outage (duration, silent vs. modal, reload
+        // reason, platform trigger) to this URL with navigator.sendBeacon. Pair it with
+        // TheNerdCollective.Blazor.SessionMonitor's '/api/session-monitor/reconnect-telemetry'.
+        // Records that can't be sent (offline, or the page is reloading) are queued in
+        // localStorage and flushed after the next page load. null = disabled.
+        telemetryEndpoint: null,
+
+        // Reload-loop protection: a server that is up but keeps failing the new circuit would
+        // otherwise reload the page forever. Automatic reloads are tracked per tab in
+        // sessionStorage; error-driven reloads back off exponentially (2s, 4s, 8s…) and after
+        // reloadLoopMaxReloads within the window a diagnostic screen (last errors, timestamps,
+        // "copy details") is shown instead of the next reload.
+        reloadLoopProtection: true,
+        reloadLoopMaxReloads: 5,
+        reloadLoopWindowMilliseconds: 5 * 60 * 1000,
+        reloadLoopBaseDelayMilliseconds: 2000,
+        reloadLoopMaxDelayMilliseconds: 60000,
+
+        // Text labels — English defaults plus the da / de / sv / nb packs live in LOCALES
+        // above. locale: 'auto' (default) picks from <html lang> / navigator.languages;
+        // set e.g. 'da' to force one. Any individual key (title, subtitle…) set in the
+        // config still overrides the pack.
+        locale: 'auto',
+        locales: null,         // extra or patched packs: { fi: { title: '…', … } }
+        ...LOCALES.en,
+        ...localePacks[activeLocale],
 
         // Styling
         customCss: null,       // Inline CSS string injected into the modal
         customCssUrl: null,    // URL to an external stylesheet loaded when the modal opens
                                // e.g. '/_content/MyApp/reconnect.css'
 
-        // Full override (replaces entire modal HTML)
+        // How the reconnect UI is presented. 'modal' (default) is the full-screen overlay.
+        // 'banner' (top bar) and 'toast' (bottom-right card) leave the page readable and can
+        // be dismissed. 'silent' renders nothing, so an app can drive its own UI from the
+        // event stream. Every mode runs the same grace period, Phase 2 ping and server-back
+        // reload. While the UI is up, <html data-blazor-reconnect-state="disconnected">
+        // greys out the page's interactive elements. The reload-loop diagnostic screen is
+        // always a modal.
+        displayMode: 'modal',
+
+        // Opt-in: render the modal as <nerd-reconnect-dialog> with a shadow root so app CSS
+        // can't restyle it. Style it through ::part(...) and the --blazor-reconnect-* variables.
+        // Off by default — page stylesheets that target #blazor-reconnect-modal keep working.
+        shadowDom: false,
+
+        // Content-Security-Policy. csp renders without inline styles: rule-level CSS (theme
+        // variables, keyframes) comes from the shipped cspStylesheetUrl and per-element styles
+        // are applied through the CSSOM, which style-src doesn't restrict. null = on when this
+        // <script> tag carries a nonce. cspNonce (default: the script tag's nonce) is stamped
+        // on every <style> / <link> the script creates — customCss needs it under CSP.
+        csp: null,
+        cspNonce: null,
+        cspStylesheetUrl: '_content/TheNerdCollective.Blazor.Reconnect/css/blazor-reconnect.css',
+
+        // Full override (replaces entire modal HTML; with shadowDom it becomes slotted
+        // light-DOM content — give top-level elements slot="logo|title|actions" to fill
+        // only those parts of the built-in card)
         reconnectingHtml: null,
         failedHtml: null,      // Full override for the "failed" state modal
+        pausedHtml: null,      // Full override for the "paused" modal (keep a #blazor-resume-btn)
+        sessionExpiredHtml: null,  // Full override for the "session expired" card (keep a #blazor-signin-btn)
+        idleHtml: null,        // Full override for the idle "session paused" card (keep a #blazor-idle-continue-btn)
 
         // Lifecycle callbacks — fired at key moments. Useful for analytics / telemetry.
-        // Each must be a zero-argument function, or null to skip.
-        onReconnecting: null,  // () => void — modal is about to show (circuit dropped > grace period)
-        onReconnected: null,   // () => void — circuit restored (silently or after modal)
-        onFailed: null,        // () => void — Phase 1 exhausted; Phase 2 UI is shown
-        onServerBack: null,    // () => void — Phase 2 ping succeeded (server is reachable again)
+        // Each receives the detail of the matching event (see EVENT STREAM): type, timestamp,
+        // disconnectedAt, outageDurationMs, modalShown and trigger, plus the fields below.
+        // null skips the callback.
+        onReconnecting: null,  // (detail) => void — modal is about to show (circuit dropped > grace period); + variant
+        onReconnected: null,   // (detail) => void — circuit restored (silently or after modal); + silent
+        onFailed: null,        // (detail) => void — Phase 1 exhausted; Phase 2 UI is shown
+        onServerBack: null,    // (detail) => void — Phase 2 ping succeeded (server is reachable again);
+                               //                    + attempts, status, silent, fromOtherTab, autoReload, reloadDelayMs
 
         // Override with user config. Accept both the documented name and the older
         // reconnection alias so host apps can migrate without silent breakage.
-        ...(window.blazorReconnectConfig || window.blazorReconnectionConfig || {})
+        ...userConfig
     };
 
     console.log('[BlazorReconnect] Initializing with config:', config);
 
+    const cspNonce = config.cspNonce || scriptNonce;
+    const cspMode = config.csp ?? !!cspNonce;
+    const displayMode = ['banner', 'toast', 'silent'].includes(config.displayMode) ? config.displayMode : 'modal';
+
     const VERSION = 'v1.12.0';
 
     // ===== SCROLL POSITION PRESERVATION =====
@@ -173,7 +755,9 @@
 
     const SCROLL_STORAGE_KEY = '__blazor_reconnect_scroll';
 
+    // A simulate() run never reloads the page — its snapshots, and the real ones, are left alone.
     function saveScrollPosition() {
+        if (simulation) return;
         try {
             const y = Math.round(window.scrollY);
             localStorage.setItem(SCROLL_STORAGE_KEY, String(y));
@@ -209,18 +793,760 @@
     }
 
     function clearScrollPosition() {
+        if (simulation) return;
         try {
             localStorage.removeItem(SCROLL_STORAGE_KEY);
         } catch (e) {}
     }
 
-    // ===== LIFECYCLE CALLBACKS =====
+    // ===== FORM STATE PRESERVATION (opt-in: preserveFormState) =====
+    //
+    // Snapshots form field values to sessionStorage when the circuit drops (and again
+    // right before safeReload()), then restores them once the new circuit has rendered.
+    // sessionStorage rather than localStorage: typed values stay in this tab only and
+    // are discarded by the browser when the tab closes.
+    //
+    // Fields are keyed by URL (path + query) and a stable element key:
+    //   data-persist-key → id → name   (MudBlazor's auto-generated ids are ignored)
+    // Never captured: password / hidden / file inputs, one-time codes, card data and
+    // anything inside an element marked data-no-persist.
+    //
+    // Restoring sets the value AND dispatches input/change so Blazor's @bind sees it.
+    // Because prerendered markup is re-rendered when the circuit attaches, the restore
+    // loop re-applies values until they stick (or the user starts typing in that field).
+
+    const FORM_STORAGE_KEY = '__blazor_reconnect_form';
+    const FORM_SKIPPED_INPUT_TYPES = ['password', 'hidden', 'file', 'submit', 'button', 'reset', 'image'];
+    const MUD_GENERATED_ID = /^mud[a-z]*-[0-9a-z-]{8,}$/i;
+
+    function formStateUrlKey() {
+        return location.pathname + location.search;
+    }
+
+    function isFormFieldExcluded(el) {
+        if (el.closest('[data-no-persist]')) return true;
+        if (el.closest('#blazor-reconnect-modal')) return true;
+        if (el.tagName === 'INPUT' && FORM_SKIPPED_INPUT_TYPES.includes((el.type || '').toLowerCase())) return true;
+        const ac = (el.getAttribute('autocomplete') || '').toLowerCase();
+        return ac === 'one-time-code' || ac.startsWith('cc-') || ac.includes('password');
+    }
+
+    function formFieldKey(el) {
+        const explicit = el.closest('[data-persist-key]');
+        if (explicit) return explicit.getAttribute('data-persist-key');
+        if (el.id && !MUD_GENERATED_ID.test(el.id)) return '#' + el.id;
+        if (el.name) return 'name:' + el.name;
+        return null;
+    }
+
+    // Rich text: Quill editors (MudQuillEditor) and any other contenteditable region, minus
+    // regions nested inside a Quill editor (they are part of its content). Unkeyed editors
+    // are saved as rich:<index> into this list, so saving and restoring must both use it.
+    function richTextEditors() {
+        return Array.from(document.querySelectorAll('.ql-editor, [contenteditable="true"]'))
+            .filter(el => el.classList.contains('ql-editor') || !el.closest('.ql-editor'));
+    }
+
+    function collectFormState() {
+        const fields = {};
+
+        document.querySelectorAll('input, textarea, select').forEach(el => {
+            if (isFormFieldExcluded(el)) return;
+            // MudSelect renders a readonly <input> showing the selected text — handled below.
+            if (el.closest('.mud-select')) return;
+            if (el.readOnly || el.disabled) return;
+            const type = (el.type || '').toLowerCase();
+
+            if (type === 'radio') {
+                if (el.checked && el.name) fields['radio:' + el.name] = { kind: 'radio', value: el.value };
+                return;
+            }
+            const key = formFieldKey(el);
+            if (!key) return;
+            if (type === 'checkbox') {
+                fields[key] = { kind: 'checked', value: el.checked };
+            } else if (el.tagName === 'SELECT' && el.multiple) {
+                fields[key] = { kind: 'multi', value: Array.from(el.selectedOptions).map(o => o.value) };
+            } else if (el.value !== el.defaultValue || el.tagName === 'SELECT') {
+                fields[key] = { kind: 'value', value: el.value };
+            }
+        });
+
+        // Quill ids are regenerated per render, so unkeyed editors fall back to page order.
+        richTextEditors().forEach((el, index) => {
+            if (isFormFieldExcluded(el)) return;
+            const key = formFieldKey(el) || `rich:${index}`;
+            fields[key] = { kind: 'html', value: el.innerHTML };
+        });
+
+        // MudSelect: capture the displayed text; restored by picking the matching list item.
+        document.querySelectorAll('.mud-select').forEach(sel => {
+            if (isFormFieldExcluded(sel)) return;
+            const input = sel.querySelector('input');
+            const key = sel.getAttribute('data-persist-key') || (input && formFieldKey(input));
+            if (!key || !input || !input.value) return;
+            fields[key] = { kind: 'mud-select', value: input.value };
+        });
+
+        return fields;
+    }
+
+    function saveFormState() {
+        if (!config.preserveFormState || simulation) return;
+        try {
+            const fields = collectFormState();
+            const count = Object.keys(fields).length;
+            if (count === 0) {
+                sessionStorage.removeItem(FORM_STORAGE_KEY);
+                return;
+            }
+            sessionStorage.setItem(FORM_STORAGE_KEY, JSON.stringify({
+                url: formStateUrlKey(),
+                savedAt: Date.now(),
+                fields
+            }));
+            console.log(`[BlazorReconnect] Form state saved: ${count} field(s)`);
+        } catch (e) {
+            // sessionStorage may be unavailable or full — losing the snapshot is acceptable
+        }
+    }
+
+    function clearFormState() {
+        if (simulation) return;
+        try {
+            sessionStorage.removeItem(FORM_STORAGE_KEY);
+        } catch (e) {}
+    }
+
+    function findFormField(key, entry) {
+        if (entry.kind === 'radio') {
+            const name = key.slice('radio:'.length);
+            return Array.from(document.getElementsByName(name)).find(r => r.value === entry.value) || null;
+        }
+        if (key.startsWith('rich:')) {
+            return richTextEditors()[parseInt(key.slice('rich:'.length), 10)] || null;
+        }
+        const explicit = document.querySelector(`[data-persist-key="${CSS.escape(key)}"]`);
+        if (explicit) {
+            if (entry.kind === 'mud-select') return explicit.closest('.mud-select') || explicit;
+            if (entry.kind === 'html') return explicit.matches('.ql-editor, [contenteditable="true"]') ? explicit : explicit.querySelector('.ql-editor, [contenteditable="true"]');
+            return explicit.matches('input, textarea, select') ? explicit : explicit.querySelector('input, textarea, select');
+        }
+        let el = null;
+        if (key.startsWith('#')) el = document.getElementById(key.slice(1));
+        else if (key.startsWith('name:')) el = document.getElementsByName(key.slice('name:'.length))[0] || null;
+        if (el && entry.kind === 'mud-select') return el.closest('.mud-select');
+        return el;
+    }
+
+    function readFormField(el, entry) {
+        switch (entry.kind) {
+            case 'radio':      return el.checked ? el.value : null;
+            case 'checked':    return el.checked;
+            case 'multi':      return Array.from(el.selectedOptions).map(o => o.value);
+            case 'html':       return el.innerHTML;
+            case 'mud-select': return el.querySelector('input')?.value ?? '';
+            default:           return el.value;
+        }
+    }
+
+    function applyFormField(el, entry) {
+        switch (entry.kind) {
+            case 'radio':
+            case 'checked': {
+                const want = entry.kind === 'radio' ? true : !!entry.value;
+                // click() toggles and raises the events Blazor listens for
+                if (el.checked !== want) el.click();
+                return;
+            }
+            case 'multi':
+                Array.from(el.options).forEach(o => { o.selected = entry.value.includes(o.value); });
+                break;
+            case 'html': {
+                const quill = el.classList.contains('ql-editor') && window.Quill?.find?.(el.parentElement);
+                if (quill && quill.clipboard) {
+                    // Emits Quill's text-change, which MudQuillEditor forwards to .NET
+                    quill.clipboard.dangerouslyPasteHTML(entry.value);
+                } else {
+                    el.innerHTML = entry.value;
+                    el.dispatchEvent(new Event('input', { bubbles: true }));
+                }
+                return;
+            }
+            case 'mud-select':
+                entry.selectPending = true;
+                restoreMudSelect(el, entry.value, (outcome) => {
+                    entry.selectPending = false;
+                    entry.selectDone = outcome !== 'closed';
+                });
+                return;
+            default:
+                el.value = entry.value;
+        }
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    // Best effort: open the MudSelect popover and click the item whose text matches.
+    // done(outcome) reports 'picked', 'missing' (the list opened without that item) or
+    // 'closed' (no list opened, e.g. the circuit is not interactive yet — worth retrying).
+    function restoreMudSelect(selectEl, text, done) {
+        const opener = selectEl.querySelector('.mud-input-control') || selectEl;
+        opener.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+        opener.click();
+        let tries = 0;
+        const pick = setInterval(() => {
+            tries++;
+            const items = Array.from(document.querySelectorAll('.mud-popover-open .mud-list-item'));
+            const item = items.find(li => li.textContent.trim() === text);
+            if (item) {
+                clearInterval(pick);
+                item.click();
+                done('picked');
+            } else if (tries >= 10) {
+                clearInterval(pick);
+                if (items.length) document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+                done(items.length ? 'missing' : 'closed');
+            }
+        }, 100);
+    }
+
+    function restoreFormState() {
+        if (!config.preserveFormState) return;
+        let snapshot;
+        try {
+            const raw = sessionStorage.getItem(FORM_STORAGE_KEY);
+            if (!raw) return;
+            sessionStorage.removeItem(FORM_STORAGE_KEY);
+            snapshot = JSON.parse(raw);
+        } catch (e) {
+            return;
+        }
+        if (!snapshot || snapshot.url !== formStateUrlKey()) return;
+        if (Date.now() - snapshot.savedAt > config.formStateMaxAgeMilliseconds) return;
+
+        const pending = new Map(Object.entries(snapshot.fields || {}));
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+        // Once the user edits a field themselves, stop re-applying the saved value to it.
+        const onUserInput = (e) => {
+            if (!e.isTrusted) return;
+            for (const [key, entry] of pending) {
+                const el = findFormField(key, entry);
+                if (el && (el === e.target || el.contains(e.target))) pending.delete(key);
+            }
+        };
+        document.addEventListener('input', onUserInput, true);
+
+        const startedAt = Date.now();
+        const tick = () => {
+            for (const [key, entry] of pending) {
+                if (entry.selectPending) continue;
+                const el = findFormField(key, entry);
+                if (!el) continue;
+                if (same(readFormField(el, entry), entry.value)) {
+                    // Done once the value has held for a few passes — the interactive render
+                    // replacing prerendered markup would otherwise wipe an early restore.
+                    entry.stablePasses = (entry.stablePasses || 0) + 1;
+                    if (entry.stablePasses >= 3) pending.delete(key);
+                    continue;
+                }
+                entry.stablePasses = 0;
+                // A MudSelect gets one pick: reopening its list every pass makes it flicker
+                if (entry.selectDone) { pending.delete(key); continue; }
+                applyFormField(el, entry);
+            }
+            if (pending.size > 0 && Date.now() - startedAt < config.formStateRestoreTimeoutMilliseconds) {
+                setTimeout(tick, 500);
+            } else {
+                document.removeEventListener('input', onUserInput, true);
+                console.log(`[BlazorReconnect] Form state restore finished${pending.size ? ` (${pending.size} field(s) not found)` : ''}`);
+            }
+        };
+        // Let Blazor attach the circuit to the prerendered markup before the first pass.
+        setTimeout(tick, 1000);
+    }
+
+    // ===== INTERACTIVITY GATE (opt-in: interactivityGate) =====
+    //
+    // Between the prerendered HTML appearing and the server circuit starting, buttons look
+    // live but nothing handles them. While the gate is up, click and submit events matching
+    // interactivityGateSelector are stopped in the capture phase. Anything inside
+    // [data-no-gate] or the reconnect modal is left alone. Each held element is marked with
+    // data-blazor-gate="pending" and aria-busy, and the theme CSS gives it a progress cursor
+    // and a small spinner.
+    //
+    // "Interactive" comes from the package's JS initializer
+    // (TheNerdCollective.Blazor.Reconnect.lib.module.js, afterServerStarted). The app can
+    // also call BlazorReconnect.markInteractive() itself. Blazor re-renders the prerendered
+    // markup when the circuit attaches, so held elements are found again by id, or by a
+    // data-* attribute that is unique on the page, once the DOM has settled. Controls with
+    // neither are not replayed: after a re-render, "the third button" may be a different
+    // button. The gate only starts when the page has interactive server component markers
+    // (<!--Blazor:{"type":"server"…}-->).
+
+    const SERVER_STARTED_EVENT = 'blazor-reconnect:server-started';
+
+    let gateActive = false;
+    let gateStartedAt = null;
+    let gateTimer = null;
+    let gateQueue = [];                // [{ kind: 'click' | 'submit', ref, submitterRef, el }], ref null = rejected
+
+    function hasInteractiveServerMarkers() {
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_COMMENT);
+        while (walker.nextNode()) {
+            const text = walker.currentNode.nodeValue || '';
+            if (text.startsWith('Blazor:') && /"type":"(server|auto)"/.test(text)) return true;
+        }
+        return false;
+    }
+
+    function gateCandidates(selector) {
+        return Array.from(document.querySelectorAll(selector)).filter(el => !el.closest('#blazor-reconnect-modal'));
+    }
+
+    const GATE_OWN_ATTRIBUTES = ['data-blazor-gate', 'data-no-gate'];
+
+    // Survives the re-render: a stable id, else a data-* attribute whose value is unique among
+    // the matching elements. null when the element has neither — it can't be found reliably.
+    function gateElementRef(el, selector) {
+        if (el.id && !MUD_GENERATED_ID.test(el.id)) return { id: el.id };
+        const candidates = gateCandidates(selector);
+        for (const attr of Array.from(el.attributes)) {
+            if (!attr.name.startsWith('data-') || !attr.value || GATE_OWN_ATTRIBUTES.includes(attr.name)) continue;
+            const matches = candidates.filter(c => c.getAttribute(attr.name) === attr.value);
+            if (matches.length === 1) return { selector, attr: attr.name, value: attr.value };
+        }
+        return null;
+    }
+
+    function resolveGateElement(ref) {
+        if (!ref) return null;
+        if (ref.id) return document.getElementById(ref.id);
+        const matches = gateCandidates(ref.selector).filter(c => c.getAttribute(ref.attr) === ref.value);
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    function markGatePending(el, pending) {
+        if (pending) {
+            el.setAttribute('data-blazor-gate', 'pending');
+            el.setAttribute('aria-busy', 'true');
+        } else {
+            el.removeAttribute('data-blazor-gate');
+            el.removeAttribute('aria-busy');
+        }
+    }
+
+    function onGatedClick(e) {
+        const el = e.target instanceof Element ? e.target.closest(config.interactivityGateSelector) : null;
+        if (!el || el.closest('[data-no-gate]') || el.closest('#blazor-reconnect-modal')) return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        if (gateQueue.some(item => item.el === el)) return;   // double click → one replay
+        const ref = gateElementRef(el, config.interactivityGateSelector);
+        if (!ref) {
+            // Still stopped (nothing would handle it yet), but no spinner: it won't be replayed
+            gateQueue.push({ kind: 'click', el, ref: null });
+            console.log('[BlazorReconnect] Interactivity gate: click rejected — the control has no stable id or unique data-* attribute');
+            return;
+        }
+        markGatePending(el, true);
+        gateQueue.push({ kind: 'click', el, ref });
+        console.log('[BlazorReconnect] Interactivity gate: click held until Blazor is interactive');
+    }
+
+    // Only reached for submits that no gated click caused (e.g. Enter in a form without a
+    // submit button) — a click on a submit button is already held above.
+    function onGatedSubmit(e) {
+        const form = e.target;
+        if (!(form instanceof HTMLFormElement) || form.closest('[data-no-gate]')) return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        if (gateQueue.some(item => item.el === form)) return;
+        const ref = gateElementRef(form, 'form');
+        const submitter = e.submitter || null;
+        gateQueue.push({
+            kind: 'submit',
+            el: form,
+            ref,
+            submitterRef: submitter ? gateElementRef(submitter, config.interactivityGateSelector) : null
+        });
+        if (ref) {
+            markGatePending(form, true);
+        } else {
+            console.log('[BlazorReconnect] Interactivity gate: submit rejected — the form has no stable id or unique data-* attribute');
+        }
+    }
+
+    function startInteractivityGate() {
+        if (!config.interactivityGate || window.__blazorReconnectServerStarted) return;
+        if (!hasInteractiveServerMarkers()) return;
+
+        ensureThemeStyles();   // the pending-spinner rules live in the theme CSS
+        gateActive = true;
+        gateStartedAt = Date.now();
+        document.addEventListener('click', onGatedClick, true);
+        document.addEventListener('submit', onGatedSubmit, true);
+        document.addEventListener(SERVER_STARTED_EVENT, () => openInteractivityGate('interactive'), { once: true });
+        gateTimer = setTimeout(() => openInteractivityGate('timeout'), config.interactivityGateTimeoutMilliseconds);
+        console.log('[BlazorReconnect] Interactivity gate up until the circuit starts');
+    }
+
+    // Resolves once no DOM mutation has happened for quietMs (or after maxMs), i.e. the
+    // first interactive render batch has replaced the prerendered markup.
+    function waitForDomSettled(quietMs = 50, maxMs = 1000) {
+        return new Promise(resolve => {
+            let quietTimer = null;
+            const done = () => {
+                observer.disconnect();
+                clearTimeout(quietTimer);
+                clearTimeout(maxTimer);
+                resolve();
+            };
+            const observer = new MutationObserver(() => {
+                clearTimeout(quietTimer);
+                quietTimer = setTimeout(done, quietMs);
+            });
+            observer.observe(document.body, { childList: true, subtree: true, attributes: true, characterData: true });
+            quietTimer = setTimeout(done, quietMs);
+            const maxTimer = setTimeout(done, maxMs);
+        });
+    }
+
+    async function openInteractivityGate(outcome) {
+        if (!gateActive) return;
+        gateActive = false;
+        clearTimeout(gateTimer);
+        gateTimer = null;
+        document.removeEventListener('click', onGatedClick, true);
+        document.removeEventListener('submit', onGatedSubmit, true);
+
+        const queue = gateQueue;
+        gateQueue = [];
+        const replay = outcome === 'interactive' && config.interactivityGateMode === 'replay';
+        if (replay && queue.length > 0) await waitForDomSettled();
+
+        let replayed = 0;
+        queue.forEach(item => {
+            markGatePending(item.el, false);
+            if (!replay) return;
+            const el = resolveGateElement(item.ref);
+            if (!el || el.disabled) return;
+            if (el.hasAttribute('data-blazor-gate')) markGatePending(el, false);
+            if (item.kind === 'click') {
+                el.click();
+            } else if (typeof el.requestSubmit === 'function') {
+                const submitter = resolveGateElement(item.submitterRef);
+                el.requestSubmit(submitter?.form === el ? submitter : undefined);
+            }
+            replayed++;
+        });
+
+        console.log(`[BlazorReconnect] Interactivity gate opened (${outcome}) — ${replayed} replayed, ${queue.length - replayed} rejected`);
+        emit('interactivity-gate', {
+            outcome,
+            waitedMs: Date.now() - gateStartedAt,
+            replayed,
+            rejected: queue.length - replayed
+        });
+    }
+
+    // ===== EVENT STREAM & LIFECYCLE CALLBACKS =====
+    //
+    // window.BlazorReconnect is an EventTarget. Each reconnect milestone is dispatched as
+    // a CustomEvent whose detail always contains:
+    //   type, timestamp, disconnectedAt, outageDurationMs, modalShown, trigger
+    // plus event-specific fields (attempt, status, reason, silent…).
+    // trigger is the platform event that last drove recovery in this disconnect cycle:
+    //   'visibility' | 'focus' | 'online' | 'resume' | null (plain Blazor / interval flow)
+    //
+    //   disconnect        circuit dropped (source: 'blazor' | 'poll' | 'manual')
+    //   grace-expired     grace period elapsed (modalHeld: requireFailedPingBeforeModal)
+    //   modal-shown       reconnect UI became visible
+    //   ping-attempt      Phase 2 /health fetch started (attempt, immediate)
+    //   ping-failed       Phase 2 probe returned non-2xx, not ready or failed (status, reason)
+    //   server-back       Phase 2 probe succeeded (attempts, silent, fromOtherTab)
+    //   failed            Phase 1 exhausted
+    //   reload            page is about to reload (reason)
+    //   reload-loop       automatic reload blocked, diagnostic screen shown (reloads, errors)
+    //   circuit-restored  Blazor reconnected the existing circuit (silent)
+    //   circuit-resumed   Blazor.resumeCircuit() rebuilt the circuit from persisted state (reason)
+    //   resume-failed     resumeCircuit() returned false or threw (reason, error) — reload follows
+    //   state-change      the state machine moved (from, to, cause, expected) — see STATE MACHINE
+    //
+    // The on* config callbacks still fire at the same moments and now receive the
+    // matching event detail as their only argument. During BlazorReconnect.simulate()
+    // nothing is dispatched and no callback runs: the events only go into the run's report.
+
+    const events = new EventTarget();
+    let disconnectedAt = null;     // ms epoch when the current disconnect cycle began
+    let modalShownAt = null;       // ms epoch when the modal became visible this cycle
+    let lastTrigger = null;        // platform trigger for the current cycle (see above)
+    let outagePingAttempts = 0;    // interval + immediate pings in the current cycle
+
+    function emit(type, extra = {}) {
+        const now = cycleClock.now();
+        const detail = {
+            type,
+            timestamp: now,
+            disconnectedAt,
+            outageDurationMs: disconnectedAt ? now - disconnectedAt : null,
+            modalShown: modalShownAt !== null,
+            trigger: lastTrigger,
+            ...(simulation ? { simulated: true } : {}),
+            ...extra
+        };
+        // A simulate() run reports its events instead of dispatching them to the app.
+        if (simulation) {
+            if (!simulation.quiet) simulation.events.push({ type, at: now - simulation.startedAt, detail });
+            return detail;
+        }
+        try {
+            events.dispatchEvent(new CustomEvent(type, { detail }));
+        } catch (e) { /* never break the reconnect flow */ }
+        return detail;
+    }
 
-    function fireCallback(name) {
+    function fireCallback(name, detail) {
         const fn = config[name];
-        if (typeof fn === 'function') {
-            try { fn(); } catch (e) { /* never break the reconnect flow */ }
+        if (typeof fn === 'function' && !simulation) {
+            try { fn(detail); } catch (e) { /* never break the reconnect flow */ }
+        }
+    }
+
+    // ===== TELEMETRY BEACON (opt-in: telemetryEndpoint) =====
+    //
+    // Each finished disconnect cycle becomes one outage record, built from the event
+    // stream ('circuit-restored' or 'reload'). Restored cycles are sent immediately with
+    // navigator.sendBeacon; cycles ending in a reload — and anything that can't be sent
+    // while offline — go to a localStorage queue that the next page load flushes.
+    //
+    // Body is a JSON array of records matching SessionMonitor's ReconnectOutageReport:
+    //   { disconnectedAt, durationMs, outcome: 'circuit-restored' | 'reload', silent,
+    //     reloadReason, trigger, pingAttempts, path, clientVersion }
+
+    const TELEMETRY_STORAGE_KEY = '__blazor_reconnect_telemetry';
+    const TELEMETRY_MAX_QUEUED = 50;
+
+    function readTelemetryQueue() {
+        try {
+            const queued = JSON.parse(localStorage.getItem(TELEMETRY_STORAGE_KEY) || '[]');
+            return Array.isArray(queued) ? queued : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function writeTelemetryQueue(records) {
+        try {
+            if (records.length === 0) localStorage.removeItem(TELEMETRY_STORAGE_KEY);
+            else localStorage.setItem(TELEMETRY_STORAGE_KEY, JSON.stringify(records.slice(-TELEMETRY_MAX_QUEUED)));
+        } catch (e) {
+            // storage unavailable — the record is dropped, telemetry is best-effort
+        }
+    }
+
+    function sendTelemetry(records) {
+        if (navigator.onLine === false || typeof navigator.sendBeacon !== 'function') return false;
+        try {
+            const body = new Blob([JSON.stringify(records)], { type: 'application/json' });
+            return navigator.sendBeacon(config.telemetryEndpoint, body);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function flushTelemetryQueue() {
+        const queued = readTelemetryQueue();
+        if (queued.length === 0) return;
+        if (sendTelemetry(queued)) {
+            writeTelemetryQueue([]);
+            console.log(`[BlazorReconnect] Telemetry: flushed ${queued.length} queued outage record(s)`);
+        }
+    }
+
+    function recordOutage(detail, outcome) {
+        if (detail.simulated) return;
+        const record = {
+            disconnectedAt: detail.disconnectedAt,
+            durationMs: detail.outageDurationMs ?? 0,
+            outcome,
+            silent: !detail.modalShown,
+            reloadReason: outcome === 'reload' ? detail.reason : null,
+            trigger: detail.trigger,
+            pingAttempts: outagePingAttempts,
+            path: location.pathname,
+            clientVersion: VERSION
+        };
+        // A beacon fired during unload may be dropped — queue reload records for the next page.
+        if (outcome === 'reload' || !sendTelemetry([record])) {
+            writeTelemetryQueue([...readTelemetryQueue(), record]);
+        }
+    }
+
+    function initTelemetry() {
+        if (!config.telemetryEndpoint) return;
+        events.addEventListener('circuit-restored', (e) => recordOutage(e.detail, 'circuit-restored'));
+        // Only reloads that end a disconnect cycle are outages (not bfcache, sign-in or error reloads)
+        events.addEventListener('reload', (e) => { if (e.detail.disconnectedAt !== null) recordOutage(e.detail, 'reload'); });
+        window.addEventListener('online', flushTelemetryQueue);
+        // Let Blazor start its circuit first — the queued records are not urgent.
+        setTimeout(flushTelemetryQueue, 3000);
+        console.log(`[BlazorReconnect] Telemetry beacon enabled → ${config.telemetryEndpoint}`);
+    }
+
+    // ===== OFFLINE FALLBACK SERVICE WORKER (opt-in: serviceWorker) =====
+    //
+    // The worker itself is static; everything it needs (health URL, interval, localized texts,
+    // brand colour, logo) travels in its registration URL's query string. A changed config is
+    // therefore a changed script URL, and the browser installs the new worker on its own.
+
+    const SERVICE_WORKER_FILE = 'blazor-reconnect-sw.js';
+
+    function getServiceWorkerUrl() {
+        const url = new URL(config.serviceWorkerUrl, document.baseURI);
+        const params = {
+            health: new URL(config.serverPingUrl, document.baseURI).href,
+            interval: config.serverPingIntervalMilliseconds,
+            statuses: (config.serviceWorkerFallbackStatuses || []).join(','),
+            lang: activeLocale,
+            title: config.offlineShellTitle,
+            subtitle: config.offlineShellSubtitle,
+            status: config.pingWaitingText,
+            button: config.failedReloadButtonText,
+            color: config.primaryColor,
+            logo: config.logoUrl ? new URL(config.logoUrl, document.baseURI).href : null
+        };
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== null && value !== undefined) url.searchParams.set(key, String(value));
+        });
+        return url.href;
+    }
+
+    function initServiceWorker() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        if (!config.serviceWorker) {
+            // Opted out after having opted in: don't leave the worker behind.
+            const controller = navigator.serviceWorker.controller;
+            if (controller?.scriptURL.includes(SERVICE_WORKER_FILE)) {
+                navigator.serviceWorker.getRegistration().then(reg => {
+                    if (reg?.active?.scriptURL.includes(SERVICE_WORKER_FILE)) {
+                        console.log('[BlazorReconnect] serviceWorker is off — unregistering the offline fallback worker');
+                        return reg.unregister();
+                    }
+                }).catch(() => {});
+            }
+            return;
+        }
+
+        const scope = new URL(config.serviceWorkerScope || './', document.baseURI).href;
+        navigator.serviceWorker.register(getServiceWorkerUrl(), { scope }).then(() => {
+            console.log(`[BlazorReconnect] Offline fallback service worker registered (scope ${scope})`);
+        }).catch(err => {
+            // Most often a missing Service-Worker-Allowed header for a scope above _content/.
+            console.warn(`[BlazorReconnect] Offline fallback service worker registration failed (scope ${scope}): ${err?.message || err}. ` +
+                'A scope above the worker\'s _content/ folder needs app.UseBlazorReconnectServiceWorker() on the server.');
+        });
+    }
+
+    // ===== ROUTE POLICIES (routePolicies / data-reconnect-policy) =====
+    //
+    // Resolved once per disconnect cycle, against the location at that moment — Blazor's
+    // enhanced navigation changes the URL without reloading this script, so resolving at init
+    // would pin the policy of the first page. Precedence: data-reconnect-policy in the DOM
+    // (a reconnectPolicies name or inline JSON; the innermost element wins, so a page root
+    // beats its layout), then the first matching routePolicies rule, then the global config.
+    // An unknown policy name or invalid JSON is skipped and the next candidate applies. The winning values are written onto config for the cycle, so
+    // the code reading config.autoReloadOnServerBack & co. needs no policy awareness; the
+    // global values are put back when the cycle closes (emitCircuitRestored).
+
+    const POLICY_KEYS = ['autoReloadOnServerBack', 'showDelayMilliseconds', 'requireFailedPingBeforeModal', 'reloadUrl'];
+    const basePolicy = Object.fromEntries(POLICY_KEYS.map(key => [key, config[key]]));
+    let activePolicyName = null;
+
+    function globToRegExp(glob) {
+        const source = glob
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*\*/g, '\u0000')
+            .replace(/\*/g, '[^/]*')
+            .replace(/\u0000/g, '.*');
+        return new RegExp(`^${source}$`, 'i');   // ASP.NET Core routes are case-insensitive
+    }
+
+    function routeMatches(path, url) {
+        if (typeof path === 'function') return !!path(url);
+        if (typeof path?.test === 'function') return path.test(url.pathname);   // RegExp
+        if (typeof path === 'string') return globToRegExp(path).test(url.pathname);
+        return false;
+    }
+
+    function namedPolicy(name) {
+        const policy = config.reconnectPolicies?.[name];
+        if (!policy) console.log(`[BlazorReconnect] Unknown reconnect policy "${name}" — add it to reconnectPolicies`);
+        return policy || null;
+    }
+
+    // { name, overrides } for one data-reconnect-policy value, or null when it is unusable.
+    function attributePolicy(attr) {
+        if (attr.startsWith('{')) {
+            try {
+                return { name: 'inline', overrides: JSON.parse(attr) };
+            } catch {
+                console.log(`[BlazorReconnect] Ignoring invalid data-reconnect-policy JSON: ${attr}`);
+                return null;
+            }
+        }
+        const overrides = namedPolicy(attr);
+        return overrides ? { name: attr, overrides } : null;
+    }
+
+    // { name, overrides } for the current page, or null when the global config applies.
+    function resolveRoutePolicy() {
+        // Document order puts a nested page root after its layout — walk from the end.
+        const marked = [...document.querySelectorAll('[data-reconnect-policy]')].reverse();
+        for (const el of marked) {
+            const attr = el.getAttribute('data-reconnect-policy').trim();
+            const resolved = attr ? attributePolicy(attr) : null;
+            if (resolved) return resolved;
+        }
+
+        const url = new URL(window.location.href);
+        for (const rule of config.routePolicies || []) {
+            let matched = false;
+            try {
+                matched = routeMatches(rule.path, url);
+            } catch (e) {
+                console.log('[BlazorReconnect] routePolicies path predicate threw:', e);
+            }
+            if (!matched) continue;
+            if (typeof rule.policy === 'string') {
+                const overrides = namedPolicy(rule.policy);
+                if (!overrides) continue;
+                return { name: rule.policy, overrides };
+            }
+            return { name: rule.name || String(rule.path), overrides: rule.policy || {} };
         }
+        return null;
+    }
+
+    // Called when a disconnect cycle starts. Returns the active policy name (null = global).
+    function applyRoutePolicy() {
+        const resolved = resolveRoutePolicy();
+        POLICY_KEYS.forEach(key => {
+            const value = resolved?.overrides[key];
+            config[key] = value === undefined ? basePolicy[key] : value;
+        });
+        activePolicyName = resolved?.name ?? null;
+        if (activePolicyName) console.log(`[BlazorReconnect] Reconnect policy "${activePolicyName}" applies to ${window.location.pathname}`);
+        return activePolicyName;
+    }
+
+    // Called when a disconnect cycle ends: a later manual or error reload on another page
+    // must not inherit this page's overrides.
+    function restoreBasePolicy() {
+        POLICY_KEYS.forEach(key => { config[key] = basePolicy[key]; });
+        activePolicyName = null;
     }
 
     // ===== SAFE RELOAD =====
@@ -228,15 +1554,205 @@
     // Centralises all page reloads. Saves scroll position first (idempotent — overwrites
     // with current value if already saved when the circuit dropped), then reloads.
     // All programmatic reloads go through here so scroll is always preserved.
+    // reason is reported on the 'reload' event ('server-back', 'manual', 'circuit-expired'…).
+    // Automatic reasons pass through reload-loop protection first (see below).
+    // With a reloadUrl (global or from a route policy) the page navigates there instead;
+    // the scroll / form snapshots belong to the page being left and are dropped. Only
+    // same-origin targets are followed — an inline data-reconnect-policy is page content.
+
+    function reloadTarget() {
+        if (!config.reloadUrl) return null;
+        let url;
+        try {
+            url = new URL(config.reloadUrl, document.baseURI);
+        } catch {
+            url = null;
+        }
+        if (url?.origin !== window.location.origin) {
+            console.log(`[BlazorReconnect] Ignoring reloadUrl "${config.reloadUrl}" — only same-origin URLs are allowed`);
+            return null;
+        }
+        return url.href;
+    }
 
-    function safeReload() {
+    function safeReload(reason = 'unknown') {
+        // A simulated outage never counts toward reload-loop protection
+        if (reason !== 'manual' && !simulation && !registerAutomaticReload(reason)) return;
+        const target = reloadTarget();
+        const redirect = target !== null && target !== window.location.href;
+        emit('reload', { reason, url: redirect ? target : window.location.href });
+        transition('reloading', reason);
+        if (simulation) return;
+        clearTabIndicator();   // a bfcache restore must not come back decorated
+        if (redirect) {
+            clearScrollPosition();
+            clearFormState();
+            window.location.assign(target);
+            return;
+        }
         saveScrollPosition();
+        saveFormState();
         window.location.reload();
     }
 
+    // ===== RELOAD-LOOP PROTECTION =====
+    //
+    // A server that comes up but immediately fails the new circuit ("The list of component
+    // operations is not valid", "circuit state could not be retrieved") would otherwise
+    // make the error handlers below reload the page forever. Every automatic reload is
+    // recorded in sessionStorage (per tab, survives the reload). Error-driven reloads back
+    // off exponentially from reloadLoopBaseDelayMilliseconds, and once reloadLoopMaxReloads
+    // automatic reloads happened within reloadLoopWindowMilliseconds the diagnostic screen
+    // replaces the next reload. Manual reloads (button click) are never blocked or counted.
+
+    const RELOAD_HISTORY_KEY = '__blazor_reconnect_reloads';
+    const RELOAD_HISTORY_MAX_ERRORS = 10;
+    let errorReloadTimer = null;       // pending error-driven reload (one at a time)
+    let diagnosticShown = false;
+
+    function readReloadHistory() {
+        let history = null;
+        try { history = JSON.parse(sessionStorage.getItem(RELOAD_HISTORY_KEY) || 'null'); } catch (e) {}
+        const cutoff = Date.now() - config.reloadLoopWindowMilliseconds;
+        return {
+            reloads: (history?.reloads || []).filter(r => r.at >= cutoff),
+            errors: history?.errors || []
+        };
+    }
+
+    function writeReloadHistory(history) {
+        try { sessionStorage.setItem(RELOAD_HISTORY_KEY, JSON.stringify(history)); } catch (e) {}
+    }
+
+    function clearReloadHistory() {
+        try { sessionStorage.removeItem(RELOAD_HISTORY_KEY); } catch (e) {}
+    }
+
+    function recordReloadError(message) {
+        if (!config.reloadLoopProtection) return;
+        const history = readReloadHistory();
+        history.errors.push({ at: Date.now(), message: String(message).slice(0, 500) });
+        history.errors = history.errors.slice(-RELOAD_HISTORY_MAX_ERRORS);
+        writeReloadHistory(history);
+    }
+
+    // Returns false (and shows the diagnostic screen) when this reload would exceed the cap.
+    function registerAutomaticReload(reason) {
+        if (!config.reloadLoopProtection) return true;
+        const history = readReloadHistory();
+        if (history.reloads.length >= config.reloadLoopMaxReloads) {
+            console.log(`[BlazorReconnect] Reload loop detected (${history.reloads.length} reloads in ${config.reloadLoopWindowMilliseconds}ms) — showing diagnostics instead of reloading`);
+            showDiagnosticScreen(history, reason);
+            return false;
+        }
+        history.reloads.push({ at: Date.now(), reason });
+        writeReloadHistory(history);
+        return true;
+    }
+
+    // Replaces the fixed 2s delay of the error handlers: 2s, 4s, 8s… per recent reload.
+    function scheduleErrorReload(reason, message) {
+        if (message) recordReloadError(message);
+        if (errorReloadTimer || diagnosticShown) return;
+        const recent = config.reloadLoopProtection ? readReloadHistory().reloads.length : 0;
+        const delay = Math.min(config.reloadLoopBaseDelayMilliseconds * 2 ** recent, config.reloadLoopMaxDelayMilliseconds);
+        console.log(`[BlazorReconnect] Reloading in ${delay}ms (${reason}, ${recent} recent reload(s))`);
+        errorReloadTimer = setTimeout(() => {
+            errorReloadTimer = null;
+            interruptSimulation('error-reload');
+            // An expired circuit may still be resumable from persisted state; invalid
+            // component operations mean new code was deployed and only a reload helps.
+            if (reason === 'circuit-expired') resumeOrReload(reason);
+            else safeReload(reason);
+        }, delay);
+    }
+
+    function formatDiagnosticDetails(history, blockedReason) {
+        const stamp = (at) => new Date(at).toISOString();
+        const lines = [
+            `Blazor Reconnect ${VERSION} — reload loop stopped`,
+            `Time: ${stamp(Date.now())}`,
+            `URL: ${location.href}`,
+            `User agent: ${navigator.userAgent}`,
+            `Blocked reload: ${blockedReason}`,
+            '',
+            `Reloads (last ${Math.round(config.reloadLoopWindowMilliseconds / 1000)}s):`,
+            ...history.reloads.map(r => `  ${stamp(r.at)}  ${r.reason}`),
+            '',
+            'Last errors:',
+            ...(history.errors.length ? history.errors.map(e => `  ${stamp(e.at)}  ${e.message}`) : ['  (none recorded)'])
+        ];
+        return lines.join('\n');
+    }
+
+    function getDiagnosticHtml() {
+        return cardHtml({
+            id: 'blazor-diagnostic',
+            title: config.reloadLoopTitle,
+            titleColor: 'var(--_brc-error)',
+            subtitle: config.reloadLoopSubtitle,
+            details: `
+                    <pre id='blazor-diagnostic-details' part='details' style='margin: 0.75rem 0 1rem; padding: 0.75rem; max-height: 200px; overflow: auto;
+                                background: var(--_brc-code-background); color: var(--_brc-text); font-size: 0.75rem; text-align: left; white-space: pre-wrap; word-break: break-word;'></pre>`,
+            actions: [
+                cardButtonHtml('blazor-diagnostic-copy-btn', config.reloadLoopCopyButtonText, { secondary: true }),
+                cardButtonHtml('manual-reload-btn', config.reloadLoopRetryButtonText)
+            ],
+            maxWidth: '560px'
+        });
+    }
+
+    function copyDiagnosticDetails(text, button) {
+        const done = () => { if (button) button.textContent = config.reloadLoopCopiedText; };
+        if (navigator.clipboard?.writeText) {
+            navigator.clipboard.writeText(text).then(done, () => copyDiagnosticDetailsFallback(text) && done());
+        } else if (copyDiagnosticDetailsFallback(text)) {
+            done();
+        }
+    }
+
+    // Older browsers / insecure origins: select a hidden textarea and use execCommand.
+    function copyDiagnosticDetailsFallback(text) {
+        const area = document.createElement('textarea');
+        area.value = text;
+        area.style.cssText = 'position: fixed; top: -1000px; opacity: 0;';
+        document.body.appendChild(area);
+        area.select();
+        let ok = false;
+        try { ok = document.execCommand('copy'); } catch (e) {}
+        area.remove();
+        return ok;
+    }
+
+    function showDiagnosticScreen(history = readReloadHistory(), blockedReason = 'manual') {
+        if (diagnosticShown || !mayTransition('reload-blocked', blockedReason)) return;
+        diagnosticShown = true;
+        cancelShowDelay();
+        cancelPendingReload();
+        stopRetryCountdown();
+        stopServerPing();
+
+        const details = formatDiagnosticDetails(history, blockedReason);
+        emit('reload-loop', { reloads: history.reloads.length, errors: history.errors.length, blockedReason });
+        transition('reload-blocked', blockedReason);
+
+        reconnectModal?.remove();
+        reconnectModal = mountModal(getDiagnosticHtml());
+        modalEl('blazor-diagnostic-details').textContent = details;
+        activateModal();
+        announce(config.reloadLoopTitle);
+
+        const copyBtn = modalEl('blazor-diagnostic-copy-btn');
+        copyBtn?.addEventListener('click', () => copyDiagnosticDetails(details, copyBtn));
+        modalEl('manual-reload-btn')?.addEventListener('click', () => {
+            // The user asked for it — start counting from zero again.
+            clearReloadHistory();
+            safeReload('manual');
+        });
+    }
+
     // ===== STATE =====
     let reconnectModal = null;
-    let isInitialLoad = true;
     let retryAttempt = 0;
     let retryCountdownSecs = 0;
     let retryTimer = null;
@@ -245,374 +1761,2242 @@
     // Cancelled (→ no modal) if hide() fires during the grace window.
     let showDelayTimer = null;
 
-    // Set to true by the visibilitychange handler when the user returns to the tab.
-    // scheduleShowReconnectModal() reads this to bypass serverPingStartDelayMilliseconds
-    // and start Phase 2 at 0ms instead, collapsing discovery time to one network RTT
-    // after iPhone screen lock. Auto-resets to false after 5s (or on hide).
-    let wokenFromVisibility = false;
+    // Set by the visibilitychange / Page Lifecycle 'resume' handlers when the user returns
+    // to the tab. A disconnect within WAKE_WINDOW_MS of it bypasses
+    // serverPingStartDelayMilliseconds and starts Phase 2 at 0ms instead, collapsing
+    // discovery time to one network RTT after iPhone screen lock. Cleared on hide.
+    const WAKE_WINDOW_MS = 5000;
+    let wake = null;                   // { trigger: 'visibility' | 'resume', at }
 
     // Phase 2 state
     let serverPingTimer = null;
     let serverPingStartTimer = null;  // delayed start timer
     let serverPingAttempt = 0;
+    let currentPingIntervalMs = config.serverPingIntervalMilliseconds;  // stretched by Retry-After
     let serverPingAbortController = null;  // cancels in-flight fetch when circuit reconnects
-    let circuitReconnected = false;        // guard: prevents reload if hide() fires just as ping resolves
+    let outagePingFailures = 0;            // /health pings that failed this cycle (requireFailedPingBeforeModal)
+
+    // Cross-tab coordination state (crossTabCoordination=true)
+    const TAB_ID = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    let crossTabChannel = null;        // BroadcastChannel shared by all tabs of this origin
+    let pingLeaderId = null;           // tab id currently running the Phase 2 poll
+    let pingLeaderSeenAt = 0;          // last time we heard from (or were) the leader
+    let reloadWhenVisible = false;     // server came back while this tab was hidden
+    let deferredServerBack = null;     // server-back detail of the deferred reload (callback still due)
+
+    // Jittered server-back reload state (reloadJitterMilliseconds / server-suggested spread)
+    let pendingReloadTimer = null;     // fires resumeOrReload('server-back') after the random delay
+    let pendingReloadCountdownTimer = null;
+    let pendingReloadAt = null;        // epoch ms the pending reload is due
+
+    // ===== STATE MACHINE =====
+    //
+    // machineState names the phase the page is in; the variables above only carry the
+    // details of a disconnect cycle (timers, counters, pending reloads). Every entry point
+    // that moves the cycle along asks transition() first — or mayTransition() when the move
+    // has to be checked before its side effects — and stops when the move isn't in
+    // TRANSITIONS. A rejected move is logged and recorded with expected: false, so a
+    // regression shows up in status() and in BlazorReconnect.simulate() reports instead of
+    // as odd UI. Whether the page is still starting, the circuit is up or the modal is held
+    // is read from the state (isInitialLoad(), circuitUp(), modalHeld()) rather than kept
+    // in flags of its own.
+    //
+    //   starting         first second after load: Blazor is still opening the circuit
+    //   connected        circuit up (or idle policy off and nothing happening)
+    //   grace            circuit dropped, silent grace period; Phase 2 may already be pinging
+    //   held             grace over, modal held until a ping fails (requireFailedPingBeforeModal)
+    //   reconnecting     reconnect UI up, Phase 1 retries + Phase 2 pings
+    //   waiting          Phase 1 exhausted, Phase 2 polling ("waiting for server")
+    //   offline          browser offline, Phase 2 paused (overlays grace / held / reconnecting / waiting)
+    //   server-back      Phase 2 succeeded: reload pending, prompt shown, or deferred until visible
+    //   paused           .NET 10 circuit paused, resume UI up
+    //   idle             idle policy stopped reconnecting until the next interaction
+    //   session-expired  sign-in card up (authProbeUrl)
+    //   reload-blocked   reload-loop protection showed the diagnostic screen
+    //   reloading        the page is being reloaded or navigated away (terminal)
+
+    const TRANSITIONS = {
+        'starting':        ['connected', 'grace', 'reconnecting', 'waiting', 'paused', 'idle', 'session-expired', 'reload-blocked', 'reloading'],
+        'connected':       ['grace', 'reconnecting', 'waiting', 'paused', 'idle', 'session-expired', 'reload-blocked', 'reloading'],
+        'grace':           ['held', 'reconnecting', 'waiting', 'offline', 'server-back', 'paused', 'idle', 'connected', 'session-expired', 'reload-blocked', 'reloading'],
+        'held':            ['reconnecting', 'waiting', 'offline', 'server-back', 'paused', 'idle', 'connected', 'session-expired', 'reload-blocked', 'reloading'],
+        'reconnecting':    ['waiting', 'offline', 'server-back', 'paused', 'idle', 'connected', 'session-expired', 'reload-blocked', 'reloading'],
+        'waiting':         ['reconnecting', 'offline', 'server-back', 'paused', 'idle', 'connected', 'session-expired', 'reload-blocked', 'reloading'],
+        'offline':         ['grace', 'held', 'reconnecting', 'waiting', 'server-back', 'paused', 'idle', 'connected', 'session-expired', 'reload-blocked', 'reloading'],
+        'server-back':     ['reconnecting', 'waiting', 'paused', 'idle', 'connected', 'session-expired', 'reload-blocked', 'reloading'],
+        'paused':          ['grace', 'reconnecting', 'waiting', 'idle', 'connected', 'reload-blocked', 'reloading'],
+        'idle':            ['reconnecting', 'connected', 'reload-blocked', 'reloading'],
+        'session-expired': ['reconnecting', 'connected', 'reload-blocked', 'reloading'],
+        'reload-blocked':  ['connected', 'reloading'],
+        'reloading':       []
+    };
+    const OFFLINE_OVERLAID = ['grace', 'held', 'reconnecting', 'waiting'];
+    const STATE_HISTORY_SIZE = 20;
+
+    let machineState = 'starting';
+    let stateSince = cycleClock.now();
+    let stateBeforeOffline = null;     // outage state to return to on 'online'
+    const stateHistory = [];           // last STATE_HISTORY_SIZE transitions
+
+    function canTransition(to) {
+        const from = machineState;
+        if (from === to) return true;
+        // Going offline pauses the outage rather than ending it: modal swaps while offline
+        // are checked against (and only change) the state 'online' returns to.
+        if (from === 'offline' && networkOffline && OFFLINE_OVERLAID.includes(to)) {
+            return stateBeforeOffline === to || TRANSITIONS[stateBeforeOffline].includes(to);
+        }
+        return TRANSITIONS[from].includes(to);
+    }
 
-    // requireFailedPingBeforeModal state
-    let pingHasFailed = false;                   // at least one /health ping returned non-2xx or network error
-    let graceExpiredAwaitingPingFailure = false;  // grace period elapsed but modal held — waiting for first ping failure
+    function recordTransition(entry) {
+        stateHistory.push(entry);
+        if (stateHistory.length > STATE_HISTORY_SIZE) stateHistory.shift();
+        simulation?.transitions.push({ ...entry, at: entry.at - simulation.startedAt });
+    }
 
-    // ===== UI COMPONENTS =====
-    
-    function createLogoHtml() {
+    // Checks a move without making it; a move that isn't allowed is logged and recorded.
+    function mayTransition(to, cause) {
+        if (canTransition(to)) return true;
+        const from = machineState;
+        console.log(`[BlazorReconnect] Rejected state transition ${from} → ${to} (${cause})`);
+        recordTransition({ from, to, cause, at: cycleClock.now(), expected: false });
+        return false;
+    }
+
+    // Returns false (and changes nothing) when the move isn't allowed from the current state.
+    function transition(to, cause) {
+        const from = machineState;
+        if (from === to) return true;
+        if (!mayTransition(to, cause)) return false;
+        if (from === 'offline' && networkOffline && OFFLINE_OVERLAID.includes(to)) {
+            stateBeforeOffline = to;
+            return true;
+        }
+        machineState = to;
+        stateSince = cycleClock.now();
+        recordTransition({ from, to, cause, at: stateSince, expected: true });
+        emit('state-change', { from, to, cause, expected: true });
+        return true;
+    }
+
+    // The state the outage is in, looking through the offline overlay.
+    function outageState() {
+        return machineState === 'offline' ? stateBeforeOffline : machineState;
+    }
+
+    function isInitialLoad() {
+        return machineState === 'starting';
+    }
+
+    // Grace period over, modal held back until a ping fails (requireFailedPingBeforeModal).
+    function modalHeld() {
+        return outageState() === 'held';
+    }
+
+    // The circuit is up: Phase 2 results that arrive now must not reload anything.
+    function circuitUp() {
+        return machineState === 'starting' || machineState === 'connected' ||
+            (machineState === 'idle' && !idleCircuitDown);
+    }
+
+    // The tab became visible (or resumed) within WAKE_WINDOW_MS.
+    function wokenRecently() {
+        return wake !== null && cycleClock.now() - wake.at < WAKE_WINDOW_MS;
+    }
+
+    // ===== CONTENT SECURITY POLICY =====
+    //
+    // Every <style> / <link> the script creates goes through these helpers so it carries
+    // cspNonce. In csp mode no <style> element is created at all: the static stylesheet
+    // (cspStylesheetUrl) is linked instead, and the style='…' attributes of the built-in
+    // templates are parked in data-brc-style and copied into element.style after parsing.
+
+    const STYLE_ATTRIBUTE_RE = /(\s)style=(['"])([\s\S]*?)\2/g;
+
+    function nonceAttr() {
+        return cspNonce ? ` nonce='${cspNonce}'` : '';
+    }
+
+    function stampNonce(el) {
+        if (cspNonce) el.nonce = cspNonce;
+        return el;
+    }
+
+    // <style> block embedded in a template; the static stylesheet covers it in csp mode.
+    function inlineStyle(css) {
+        return cspMode ? '' : `<style${nonceAttr()}>${css}</style>`;
+    }
+
+    function appendHeadStyle(id, css) {
+        if (document.getElementById(id)) return;
+        const style = stampNonce(document.createElement('style'));
+        style.id = id;
+        style.textContent = css;
+        document.head.appendChild(style);
+    }
+
+    function ensureCspStylesheet() {
+        if (document.getElementById('blazor-reconnect-stylesheet')) return;
+        const link = stampNonce(document.createElement('link'));
+        link.id = 'blazor-reconnect-stylesheet';
+        link.rel = 'stylesheet';
+        link.href = config.cspStylesheetUrl;
+        document.head.appendChild(link);
+    }
+
+    // innerHTML that keeps working under style-src without 'unsafe-inline'.
+    function setHtml(target, html) {
+        if (!cspMode) {
+            target.innerHTML = html;
+            return;
+        }
+        target.innerHTML = html.replace(STYLE_ATTRIBUTE_RE, '$1data-brc-style=$2$3$2');
+        target.querySelectorAll('[data-brc-style]').forEach(el => {
+            el.style.cssText = el.getAttribute('data-brc-style');
+            el.removeAttribute('data-brc-style');
+        });
+    }
+
+    // ===== THEME (MudBlazor palette + dark mode) =====
+    //
+    // Every built-in modal is styled through internal --_brc-* custom properties, resolved in
+    // this order: the public --blazor-reconnect-* override (set it on :root or on
+    // #blazor-reconnect-modal), then MudBlazor's --mud-palette-* / --mud-* variables, then a
+    // light or dark fallback chosen by prefers-color-scheme. Because everything stays a live
+    // var(), a ThemeKit / MudThemeProvider theme or dark-mode switch at runtime restyles an
+    // open modal immediately. prefers-contrast: more strengthens text, borders and backdrop.
+    // An explicitly configured primaryColor still wins over the Mud palette.
+
+    // Greys out the page's controls while the circuit is down. Needed for the non-blocking
+    // display modes; behind the modal overlay it changes nothing visible. Mirrored in the CSP stylesheet.
+    const DISABLED_PAGE_CSS = `
+        html[data-blazor-reconnect-state='disconnected'] body :is(button, input, select, textarea, a[href], [role='button'], [contenteditable='true']):not(#blazor-reconnect-modal, #blazor-reconnect-modal *) {
+            opacity: var(--blazor-reconnect-disabled-opacity, 0.5);
+            pointer-events: none;
+        }
+    `;
+
+    // Loading affordance on elements held by the interactivity gate. Mirrored in the CSP stylesheet.
+    const GATE_PENDING_CSS = `
+        [data-blazor-gate='pending'] { cursor: progress !important; opacity: 0.7; }
+        [data-blazor-gate='pending']::after {
+            content: ''; display: inline-block; width: 0.8em; height: 0.8em; margin-left: 0.5em; vertical-align: -0.1em;
+            border: 2px solid currentColor; border-right-color: transparent; border-radius: 50%;
+            animation: brc-spin 0.8s linear infinite;
+        }
+        @keyframes brc-spin { to { transform: rotate(360deg); } }
+        @media (prefers-reduced-motion: reduce) {
+            [data-blazor-gate='pending']::after { animation: none; }
+        }
+    `;
+
+    function getThemeCss() {
+        const primaryFallback = userConfig.primaryColor
+            ? config.primaryColor
+            : `var(--mud-palette-primary, ${config.primaryColor})`;
+        return `
+            #blazor-reconnect-modal {
+                --_brc-backdrop: var(--blazor-reconnect-backdrop, rgba(0, 0, 0, 0.7));
+                --_brc-surface: var(--blazor-reconnect-surface, var(--mud-palette-surface, #fff));
+                --_brc-text: var(--blazor-reconnect-text, var(--mud-palette-text-primary, #333));
+                --_brc-text-secondary: var(--blazor-reconnect-text-secondary, var(--mud-palette-text-secondary, #666));
+                --_brc-text-muted: var(--blazor-reconnect-text-muted, var(--mud-palette-text-disabled, #999));
+                --_brc-primary: var(--blazor-reconnect-primary, ${primaryFallback});
+                --_brc-primary-text: var(--blazor-reconnect-primary-text, var(--mud-palette-primary-text, #fff));
+                --_brc-warning: var(--blazor-reconnect-warning, var(--mud-palette-warning, #F59E0B));
+                --_brc-error: var(--blazor-reconnect-error, var(--mud-palette-error, #e53e3e));
+                --_brc-code-background: var(--blazor-reconnect-code-background, var(--mud-palette-background-gray, #f7f7f7));
+                --_brc-border: var(--blazor-reconnect-border, none);
+                --_brc-radius: var(--blazor-reconnect-radius, 8px);
+                --_brc-shadow: var(--blazor-reconnect-shadow, 0 4px 6px rgba(0, 0, 0, 0.1));
+                --_brc-font: var(--blazor-reconnect-font, var(--mud-typography-default-family, inherit));
+            }
+            @media (prefers-color-scheme: dark) {
+                #blazor-reconnect-modal {
+                    --_brc-surface: var(--blazor-reconnect-surface, var(--mud-palette-surface, #1e1e2d));
+                    --_brc-text: var(--blazor-reconnect-text, var(--mud-palette-text-primary, #e6e6eb));
+                    --_brc-text-secondary: var(--blazor-reconnect-text-secondary, var(--mud-palette-text-secondary, #b4b4c0));
+                    --_brc-text-muted: var(--blazor-reconnect-text-muted, var(--mud-palette-text-disabled, #7c7c8a));
+                    --_brc-code-background: var(--blazor-reconnect-code-background, var(--mud-palette-background-gray, #2a2a3a));
+                    --_brc-shadow: var(--blazor-reconnect-shadow, 0 4px 12px rgba(0, 0, 0, 0.5));
+                }
+            }
+            @media (prefers-contrast: more) {
+                #blazor-reconnect-modal {
+                    --_brc-backdrop: var(--blazor-reconnect-backdrop, rgba(0, 0, 0, 0.85));
+                    --_brc-text-secondary: var(--_brc-text);
+                    --_brc-text-muted: var(--_brc-text);
+                    --_brc-border: var(--blazor-reconnect-border, 2px solid var(--_brc-text));
+                }
+            }
+            ${DISABLED_PAGE_CSS}
+            ${GATE_PENDING_CSS}
+        `;
+    }
+
+    function ensureThemeStyles() {
+        if (cspMode) {
+            ensureCspStylesheet();
+            return;
+        }
+        appendHeadStyle('blazor-reconnect-theme', getThemeCss());
+    }
+
+    // ===== MODAL HOST (<nerd-reconnect-dialog>) =====
+    //
+    // With shadowDom: true every modal is a <nerd-reconnect-dialog id="blazor-reconnect-modal">
+    // custom element with an open shadow root, so app-wide CSS resets can't restyle its
+    // headings and buttons and its @keyframes names can't collide with the app's. Inside the
+    // shadow root the markup is wrapped in <div id="blazor-reconnect-modal" part="root">, so
+    // customCss written against '#blazor-reconnect-modal …' keeps matching. Styling hooks:
+    //   ::part(backdrop | dialog | logo | icon | title | subtitle | status | details | button | version)
+    //   named slots: logo, title, actions
+    // reconnectingHtml / failedHtml / pausedHtml become light-DOM children of the element:
+    // top-level children with a slot="…" attribute fill the named slots of the built-in card,
+    // anything else replaces the card entirely via the default slot (the pre-shadow behaviour).
+    // The theme variables (--_brc-*, --blazor-reconnect-*) inherit through the shadow boundary.
+    //
+    // Without shadowDom (the default), or in a browser without custom elements, the modal is a plain <div>.
+
+    const DIALOG_TAG = 'nerd-reconnect-dialog';
+
+    function defineDialogElement() {
+        if (!window.customElements || typeof Element.prototype.attachShadow !== 'function') return false;
+        if (!customElements.get(DIALOG_TAG)) {
+            customElements.define(DIALOG_TAG, class extends HTMLElement {
+                constructor() {
+                    super();
+                    this.attachShadow({ mode: 'open' });
+                }
+            });
+        }
+        return true;
+    }
+
+    // Creates #blazor-reconnect-modal, appends it to <body> and returns it. During a
+    // simulate() run the host is built and queried like a real one but never attached.
+    function mountModal(builtInHtml, overrideHtml = null) {
+        if (!simulation) ensureThemeStyles();
+
+        // External branding stylesheet for light-DOM content (override HTML / shadowDom=false)
+        if (config.customCssUrl && !simulation && !document.getElementById('blazor-reconnect-css')) {
+            const link = stampNonce(document.createElement('link'));
+            link.id = 'blazor-reconnect-css';
+            link.rel = 'stylesheet';
+            link.href = config.customCssUrl;
+            document.head.appendChild(link);
+        }
+        const customStyle = config.customCss ? `<style${nonceAttr()}>${config.customCss}</style>` : '';
+
+        let host;
+        if (config.shadowDom && defineDialogElement()) {
+            host = document.createElement(DIALOG_TAG);
+            if (overrideHtml) setHtml(host, overrideHtml);
+            const fullReplacement = !!overrideHtml && !Array.from(host.children).some(el => el.hasAttribute('slot'));
+            setHtml(host.shadowRoot, `
+                ${cspMode ? `<link rel='stylesheet' href='${config.cspStylesheetUrl}'${nonceAttr()}>` : ''}
+                ${inlineStyle(`
+                    :host { display: block; }
+                    button { font: inherit; }
+                `)}
+                ${config.customCssUrl ? `<link rel='stylesheet' href='${config.customCssUrl}'${nonceAttr()}>` : ''}
+                <div id='blazor-reconnect-modal' part='root'>${fullReplacement ? '<slot></slot>' : builtInHtml}</div>
+                ${customStyle}
+            `);
+        } else {
+            host = document.createElement('div');
+            setHtml(host, (overrideHtml || builtInHtml) + customStyle);
+        }
+        host.id = 'blazor-reconnect-modal';
+        // The static stylesheet can't see config; an explicit primaryColor reaches it as a variable
+        if (cspMode && userConfig.primaryColor) host.style.setProperty('--_brc-config-primary', config.primaryColor);
+        if (!simulation) document.body.appendChild(host);
+        return host;
+    }
+
+    // Looks an element up inside the modal's shadow root first, then in its light DOM
+    // (override HTML), then in the document.
+    function modalEl(id) {
+        return reconnectModal?.shadowRoot?.getElementById(id) || reconnectModal?.querySelector(`#${id}`) ||
+            (simulation ? null : document.getElementById(id));
+    }
+
+    function focusModalDialog() {
+        const dialog = reconnectModal?.shadowRoot?.querySelector('[role=alertdialog]') ||
+            reconnectModal?.querySelector('[role=alertdialog]');
+        dialog?.focus();
+    }
+
+    // ===== DISPLAY MODES (banner / toast / silent) =====
+    //
+    // The non-modal modes reuse the built-in templates. After mounting, the backdrop and
+    // dialog are restyled through the CSSOM, so csp mode keeps working. The dialog becomes a
+    // labelled region instead of an aria-modal alertdialog, and a dismiss button is added.
+    // A full-replacement override (reconnectingHtml without slots) is left as the app wrote
+    // it. Dismissing only hides the UI. The outage cycle keeps running, and the next state
+    // change (failed, paused) shows it again.
+
+    const DISPLAY_MODE_STYLES = {
+        banner: {
+            backdrop: 'bottom: auto; background: transparent; pointer-events: none; display: block;',
+            dialog: 'position: relative; pointer-events: auto; max-width: none; width: auto; border-radius: 0; ' +
+                'padding: 0.75rem 3rem 0.75rem 1rem; display: flex; flex-wrap: wrap; align-items: center; column-gap: 1rem; text-align: left;',
+            icon: 'width: 24px; height: 24px; margin: 0;',
+            text: 'margin: 0; font-size: 0.95rem;'
+        },
+        toast: {
+            backdrop: 'top: auto; left: auto; right: 1rem; bottom: 1rem; background: transparent; pointer-events: none; display: block;',
+            dialog: 'position: relative; pointer-events: auto; max-width: none; width: min(360px, calc(100vw - 2rem)); ' +
+                'padding: 1rem 2.5rem 1rem 1rem; text-align: left;',
+            icon: 'width: 32px; height: 32px; margin: 0 0 0.5rem;',
+            text: 'margin: 0 0 0.5rem;'
+        }
+    };
+
+    function applyDisplayMode() {
+        if (displayMode === 'silent') {
+            reconnectModal.style.display = 'none';
+            return;
+        }
+        const root = reconnectModal.shadowRoot || reconnectModal;
+        const backdrop = root.querySelector('[part=backdrop]');
+        const dialog = root.querySelector('[part=dialog]');
+        if (!backdrop || !dialog) return;
+
+        const styles = DISPLAY_MODE_STYLES[displayMode];
+        backdrop.style.cssText += styles.backdrop;
+        dialog.style.cssText += styles.dialog;
+        root.querySelectorAll('[part=icon]').forEach(el => { el.style.cssText += styles.icon; });
+        root.querySelectorAll('[part=title], [part=subtitle], [part=status]').forEach(el => { el.style.cssText += styles.text; });
+        root.querySelectorAll('[part=logo], [part=version]').forEach(el => { el.style.display = 'none'; });
+
+        dialog.setAttribute('role', 'region');
+        dialog.removeAttribute('aria-modal');
+
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.setAttribute('part', 'dismiss');
+        dismiss.setAttribute('aria-label', config.dismissButtonText);
+        dismiss.textContent = '×';
+        dismiss.style.cssText = 'position: absolute; top: 0.5rem; right: 0.5rem; padding: 0.25rem 0.5rem; ' +
+            'background: transparent; border: none; color: inherit; font-size: 1.25rem; line-height: 1; cursor: pointer;';
+        dismiss.addEventListener('click', dismissReconnectUi);
+        dialog.appendChild(dismiss);
+    }
+
+    function dismissReconnectUi() {
+        if (!reconnectModal) return;
+        reconnectModal.style.display = 'none';
+        emit('dismissed');
+    }
+
+    function setPageDisconnected(disconnected) {
+        if (disconnected) document.documentElement.setAttribute('data-blazor-reconnect-state', 'disconnected');
+        else document.documentElement.removeAttribute('data-blazor-reconnect-state');
+    }
+
+    // ===== ACCESSIBILITY (focus trap, inert background, live region) =====
+    //
+    // While a modal is up, the rest of <body> is made inert, so it can't be focused, clicked
+    // or reached by a screen reader. Tab / Shift+Tab wrap inside the dialog. The element that
+    // had focus before the outage gets it back when the modal closes. Swapping one modal for
+    // another (reconnecting → failed → paused…) keeps all three in place. Body children added
+    // while the modal is open (late Blazor renders, MudBlazor popovers, toasts) are inerted
+    // as they arrive. Announcements go
+    // through a visually hidden aria-live region that sits outside the modal, so they survive
+    // those swaps.
+
+    const FOCUSABLE_SELECTOR = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+    let focusBeforeModal = null;       // restored by deactivateModal()
+    let inertElements = [];            // body children we made inert (leave the app's own alone)
+    let inertObserver = null;          // inerts body children added while the modal is open
+    let liveRegion = null;
+    let lastAnnouncement = null;
+    let lastAnnouncedAt = 0;
+    let announceTimer = null;          // trailing announcement for throttled updates
+
+    function getLiveRegion() {
+        if (liveRegion?.isConnected) return liveRegion;
+        liveRegion = document.createElement('div');
+        liveRegion.id = 'blazor-reconnect-live';
+        liveRegion.setAttribute('aria-live', 'polite');
+        liveRegion.setAttribute('aria-atomic', 'true');
+        // Visually hidden; set through the CSSOM so it works in csp mode too.
+        liveRegion.style.cssText = 'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; ' +
+            'overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0;';
+        document.body.appendChild(liveRegion);
+        return liveRegion;
+    }
+
+    // State changes are announced at once; throttle=true (attempt counters and other repeated
+    // updates) waits until liveAnnouncementIntervalMilliseconds has passed since the last one.
+    function announce(text, throttle = false) {
+        if (!text || simulation || text === lastAnnouncement) return;
+        clearTimeout(announceTimer);
+        announceTimer = null;
+        const wait = throttle ? lastAnnouncedAt + config.liveAnnouncementIntervalMilliseconds - Date.now() : 0;
+        if (wait > 0) {
+            announceTimer = setTimeout(() => announce(text), wait);
+            return;
+        }
+        lastAnnouncement = text;
+        lastAnnouncedAt = Date.now();
+        getLiveRegion().textContent = text;
+    }
+
+    function isInModal(el) {
+        return !!el && !!reconnectModal && (reconnectModal.contains(el) || !!reconnectModal.shadowRoot?.contains(el));
+    }
+
+    // Tab order of the open modal: the shadow-root card, then slotted light-DOM content.
+    // Fallback content of a slot that has been filled isn't rendered, so it's skipped.
+    function getModalFocusables() {
+        const shadowItems = Array.from(reconnectModal?.shadowRoot?.querySelectorAll(FOCUSABLE_SELECTOR) || [])
+            .filter(el => !(el.closest('slot')?.assignedNodes().length));
+        const lightItems = Array.from(reconnectModal?.querySelectorAll(FOCUSABLE_SELECTOR) || []);
+        return [...shadowItems, ...lightItems].filter(el => !el.disabled && !el.closest('[hidden]'));
+    }
+
+    function trapFocus(e) {
+        if (e.key !== 'Tab' || !reconnectModal) return;
+        const items = getModalFocusables();
+        if (items.length === 0) {
+            e.preventDefault();
+            focusModalDialog();
+            return;
+        }
+        const active = reconnectModal.shadowRoot?.activeElement || document.activeElement;
+        const first = items[0];
+        const last = items[items.length - 1];
+        if (e.shiftKey && (active === first || !items.includes(active))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || !isInModal(active))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // Called right after each mountModal(): inerts the page, installs the Tab trap and
+    // moves focus into the dialog so screen readers announce it. The non-modal display modes
+    // only get their layout; focus stays where the user is reading.
+    function activateModal() {
+        if (simulation) return;   // a simulated modal is never on the page
+        setPageDisconnected(true);
+        qualityIndicator?.remove();   // the reconnect UI says more; measuring resumes afterwards
+        qualityIndicator = null;
+        if (displayMode !== 'modal' && !diagnosticShown) {
+            applyDisplayMode();
+            return;
+        }
+        if (focusBeforeModal === null) {
+            const active = document.activeElement;
+            focusBeforeModal = active && active !== document.body && !isInModal(active) ? active : undefined;
+        }
+        Array.from(document.body.children).forEach(inertBackground);
+        if (!inertObserver && typeof MutationObserver !== 'undefined') {
+            inertObserver = new MutationObserver(records => records.forEach(r => r.addedNodes.forEach(inertBackground)));
+            inertObserver.observe(document.body, { childList: true });
+        }
+        document.addEventListener('keydown', trapFocus, true);
+        focusModalDialog();
+    }
+
+    function inertBackground(el) {
+        if (el.nodeType !== Node.ELEMENT_NODE || el === reconnectModal || el === liveRegion) return;
+        // Every modal host carries this id, including one swapped out in the same batch
+        if (el.id === 'blazor-reconnect-modal' || el.hasAttribute('inert')) return;
+        el.setAttribute('inert', '');
+        inertElements.push(el);
+    }
+
+    // Called when the last modal of a cycle closes (not on swaps).
+    function deactivateModal() {
+        if (simulation) return;
+        setPageDisconnected(false);
+        inertObserver?.disconnect();
+        inertObserver = null;
+        document.removeEventListener('keydown', trapFocus, true);
+        inertElements.forEach(el => el.removeAttribute('inert'));
+        inertElements = [];
+        if (focusBeforeModal?.isConnected) focusBeforeModal.focus({ preventScroll: true });
+        focusBeforeModal = null;
+    }
+
+    // ===== UI COMPONENTS =====
+    
+    function createLogoHtml() {
         if (!config.logoUrl) return '';
-        return `<img src="${config.logoUrl}" style="max-height: 56px; max-width: 180px; margin: 0 auto 1rem; display: block; object-fit: contain;" alt="" />`;
+        return `<img part="logo" src="${config.logoUrl}" style="max-height: 56px; max-width: 180px; margin: 0 auto 1rem; display: block; object-fit: contain;" alt="" />`;
     }
 
-    function createSpinnerSvg(color = config.primaryColor) {
+    function createSpinnerSvg(color = 'var(--_brc-primary)') {
         if (config.spinnerUrl) {
-            return `<img src="${config.spinnerUrl}" style="width: 48px; height: 48px; margin: 0 auto 1rem; animation: spin 1s linear infinite;" alt="" />`;
+            return `<img part="icon" src="${config.spinnerUrl}" style="width: 48px; height: 48px; margin: 0 auto 1rem; animation: brc-spin 1s linear infinite;" alt="" />`;
         }
         return `
-            <svg style="width: 48px; height: 48px; margin: 0 auto 1rem; animation: spin 1s linear infinite;" viewBox="0 0 24 24">
-                <circle cx="12" cy="12" r="10" fill="none" stroke="${color}" stroke-width="3"
+            <svg part="icon" style="width: 48px; height: 48px; margin: 0 auto 1rem; animation: brc-spin 1s linear infinite;" viewBox="0 0 24 24">
+                <circle cx="12" cy="12" r="10" fill="none" style="stroke: ${color}" stroke-width="3"
                         stroke-dasharray="31.4" stroke-dashoffset="10" stroke-linecap="round"/>
             </svg>
         `;
     }
 
-    function getReconnectingHtml() {
-        if (config.reconnectingHtml) return config.reconnectingHtml;
-
+    // Every built-in card (reconnecting, failed, paused, session expired, idle, diagnostics)
+    // shares this markup, so theming (--_brc-* variables), ::part() names and the dialog
+    // semantics live in one place. id prefixes the title / subtitle / status ids that
+    // aria-labelledby, aria-describedby and the status updates refer to. Texts are config
+    // values and are inserted as HTML, as before.
+    function cardHtml({ id, icon = '', title, titleColor = 'var(--_brc-text)', subtitle, status = null, details = '', actions, maxWidth = '400px' }) {
+        const statusHtml = status === null ? '' : `
+                    <p id='${id}-status' part='status' style='margin: 0 0 1.25rem; color: var(--_brc-text-muted); font-size: 0.85rem;'>${status}</p>`;
         return `
-            <div style='position: fixed; top: 0; left: 0; right: 0; bottom: 0;
-                        background: rgba(0, 0, 0, 0.7); z-index: 9999;
+            <div part='backdrop' style='position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+                        background: var(--_brc-backdrop); z-index: 9999;
                         display: flex; align-items: center; justify-content: center;'>
-                <div role='alertdialog' aria-modal='true' aria-labelledby='blazor-reconnect-title' aria-describedby='blazor-reconnect-subtitle'
-                     tabindex='-1' style='background: white; padding: 2rem; border-radius: 8px;
-                            max-width: 400px; width: 90%; text-align: center; box-shadow: 0 4px 6px rgba(0,0,0,0.1);'>
-                    ${createLogoHtml()}
-                    ${createSpinnerSvg()}
-                    <h3 id='blazor-reconnect-title' style='margin: 0 0 0.5rem; color: #333; font-size: 1.25rem;'>${config.title}</h3>
-                    <p id='blazor-reconnect-subtitle' style='margin: 0 0 0.25rem; color: #666; font-size: 0.95rem;'>${config.subtitle}</p>
-                    <p id='blazor-reconnect-status' style='margin: 0 0 1rem; color: #999; font-size: 0.85rem;'>${config.statusText}</p>
-                    <button id='manual-reload-btn'
-                            style='background: ${config.primaryColor}; color: white; border: none;
-                                   padding: 0.5rem 1.5rem; border-radius: 4px; cursor: pointer; font-size: 0.95rem;'>
-                        ${config.reloadButtonText}
-                    </button>
-                    <p style='margin: 1rem 0 0; color: #ccc; font-size: 0.7rem;'>${VERSION}</p>
+                <div part='dialog' role='alertdialog' aria-modal='true' aria-labelledby='${id}-title' aria-describedby='${id}-subtitle'
+                     tabindex='-1' style='background: var(--_brc-surface); color: var(--_brc-text); padding: 2rem; border-radius: var(--_brc-radius); border: var(--_brc-border); font-family: var(--_brc-font);
+                            max-width: ${maxWidth}; width: 90%; text-align: center; box-shadow: var(--_brc-shadow);'>
+                    <slot name='logo'>${createLogoHtml()}</slot>
+                    ${icon}
+                    <slot name='title'><h3 part='title' id='${id}-title' style='margin: 0 0 0.5rem; color: ${titleColor}; font-size: 1.25rem;'>${title}</h3></slot>
+                    <p id='${id}-subtitle' part='subtitle' style='margin: 0 0 ${status === null && !details ? '1.25rem' : '0.25rem'}; color: var(--_brc-text-secondary); font-size: 0.95rem;'>${subtitle}</p>${statusHtml}${details}
+                    <slot name='actions'>${actions.join('')}</slot>
+                    <p part='version' style='margin: 1rem 0 0; color: var(--_brc-text-muted); opacity: 0.7; font-size: 0.7rem;'>${VERSION}</p>
                 </div>
             </div>
-            <style>
-                @keyframes spin { to { transform: rotate(360deg); } }
-                @media (prefers-reduced-motion: reduce) {
-                    #blazor-reconnect-modal svg, #blazor-reconnect-modal img { animation: none !important; }
-                }
-            </style>
         `;
     }
 
-    function getFailedHtml() {
-        if (config.failedHtml) return config.failedHtml;
+    function cardButtonHtml(id, text, { secondary = false } = {}) {
+        const look = secondary
+            ? 'background: transparent; color: var(--_brc-primary); border: 1px solid var(--_brc-primary);'
+            : 'background: var(--_brc-primary); color: var(--_brc-primary-text); border: none;';
+        return `<button id='${id}' part='button${secondary ? ' secondary-button' : ''}'
+                            style='${look}
+                                   padding: 0.6rem 2rem; border-radius: 4px; cursor: pointer; font-size: 1rem; font-weight: 500; margin: 0 0.25rem;'>
+                        ${text}
+                    </button>`;
+    }
+
+    function getReconnectingHtml() {
+        return cardHtml({
+            id: 'blazor-reconnect',
+            icon: createSpinnerSvg(),
+            title: config.title,
+            subtitle: config.subtitle,
+            status: config.statusText,
+            actions: [cardButtonHtml('manual-reload-btn', config.reloadButtonText)]
+        }) + inlineStyle(`
+            @keyframes brc-spin { to { transform: rotate(360deg); } }
+            @media (prefers-reduced-motion: reduce) {
+                #blazor-reconnect-modal svg, #blazor-reconnect-modal img { animation: none !important; }
+            }
+        `);
+    }
 
+    function getFailedHtml() {
         // Phase 2 active (default): amber pulsing icon + status line.
         // NOT the red-X dead-end screen — we are still actively working.
         if (config.serverPingEnabled) {
             const pulseIcon = `
-                <svg style="width: 48px; height: 48px; margin: 0 auto 1rem; display: block;
-                            animation: ping-pulse 1.5s ease-in-out infinite;" viewBox="0 0 24 24">
-                    <circle cx="12" cy="12" r="10" fill="none" stroke="#F59E0B" stroke-width="2.5"/>
-                    <circle cx="12" cy="12" r="4" fill="#F59E0B"/>
+                <svg part="icon" style="width: 48px; height: 48px; margin: 0 auto 1rem; display: block;
+                            animation: brc-ping-pulse 1.5s ease-in-out infinite;" viewBox="0 0 24 24">
+                    <circle cx="12" cy="12" r="10" fill="none" style="stroke: var(--_brc-warning)" stroke-width="2.5"/>
+                    <circle cx="12" cy="12" r="4" style="fill: var(--_brc-warning)"/>
                 </svg>`;
 
-            return `
-                <div style='position: fixed; top: 0; left: 0; right: 0; bottom: 0;
-                            background: rgba(0, 0, 0, 0.7); z-index: 9999;
-                            display: flex; align-items: center; justify-content: center;'>
-                    <div role='alertdialog' aria-modal='true' aria-labelledby='blazor-ping-title' aria-describedby='blazor-ping-subtitle'
-                         tabindex='-1' style='background: white; padding: 2rem; border-radius: 8px;
-                                max-width: 400px; width: 90%; text-align: center; box-shadow: 0 4px 6px rgba(0,0,0,0.1);'>
-                        ${createLogoHtml()}
-                        ${pulseIcon}
-                        <h3 id='blazor-ping-title' style='margin: 0 0 0.5rem; color: #333; font-size: 1.25rem;'>${config.failedTitle}</h3>
-                        <p id='blazor-ping-subtitle' style='margin: 0 0 0.25rem; color: #666; font-size: 0.95rem;'>${config.failedSubtitle}</p>
-                        <p id='blazor-ping-status' style='margin: 0 0 1.25rem; color: #999; font-size: 0.8rem;'>Checking\u2026</p>
-                        <button id='manual-reload-btn'
-                                style='background: ${config.primaryColor}; color: white; border: none;
-                                       padding: 0.6rem 2rem; border-radius: 4px; cursor: pointer; font-size: 1rem; font-weight: 500;'>
-                            ${config.failedReloadButtonText}
-                        </button>
-                        <p style='margin: 1rem 0 0; color: #ccc; font-size: 0.7rem;'>${VERSION}</p>
-                    </div>
-                </div>
-                <style>
-                    @keyframes ping-pulse {
-                        0%, 100% { opacity: 1; transform: scale(1); }
-                        50%       { opacity: 0.5; transform: scale(0.88); }
-                    }
-                </style>
-            `;
+            return cardHtml({
+                id: 'blazor-ping',
+                icon: pulseIcon,
+                title: config.failedTitle,
+                subtitle: config.failedSubtitle,
+                status: config.checkingText,
+                actions: [cardButtonHtml('manual-reload-btn', config.failedReloadButtonText)]
+            }) + inlineStyle(`
+                @keyframes brc-ping-pulse {
+                    0%, 100% { opacity: 1; transform: scale(1); }
+                    50%       { opacity: 0.5; transform: scale(0.88); }
+                }
+            `);
         }
 
         // Phase 2 disabled: legacy static dead-end UI
         const errorIcon = `
-            <svg style="width: 48px; height: 48px; margin: 0 auto 1rem; display: block;" viewBox="0 0 24 24">
-                <circle cx="12" cy="12" r="10" fill="none" stroke="#e53e3e" stroke-width="2.5"/>
-                <line x1="15" y1="9" x2="9" y2="15" stroke="#e53e3e" stroke-width="2.5" stroke-linecap="round"/>
-                <line x1="9" y1="9" x2="15" y2="15" stroke="#e53e3e" stroke-width="2.5" stroke-linecap="round"/>
+            <svg part="icon" style="width: 48px; height: 48px; margin: 0 auto 1rem; display: block;" viewBox="0 0 24 24">
+                <circle cx="12" cy="12" r="10" fill="none" style="stroke: var(--_brc-error)" stroke-width="2.5"/>
+                <line x1="15" y1="9" x2="9" y2="15" style="stroke: var(--_brc-error)" stroke-width="2.5" stroke-linecap="round"/>
+                <line x1="9" y1="9" x2="15" y2="15" style="stroke: var(--_brc-error)" stroke-width="2.5" stroke-linecap="round"/>
             </svg>`;
 
-        return `
-            <div style='position: fixed; top: 0; left: 0; right: 0; bottom: 0;
-                        background: rgba(0, 0, 0, 0.7); z-index: 9999;
-                        display: flex; align-items: center; justify-content: center;'>
-                <div style='background: white; padding: 2rem; border-radius: 8px;
-                            max-width: 400px; width: 90%; text-align: center; box-shadow: 0 4px 6px rgba(0,0,0,0.1);'>
-                    ${createLogoHtml()}
-                    ${errorIcon}
-                    <h3 style='margin: 0 0 0.5rem; color: #e53e3e; font-size: 1.25rem;'>${config.failedTitle}</h3>
-                    <p style='margin: 0 0 1.5rem; color: #666; font-size: 0.95rem;'>${config.failedSubtitle}</p>
-                    <button id='manual-reload-btn'
-                            style='background: ${config.primaryColor}; color: white; border: none;
-                                   padding: 0.6rem 2rem; border-radius: 4px; cursor: pointer; font-size: 1rem; font-weight: 500;'>
-                        ${config.failedReloadButtonText}
-                    </button>
-                </div>
-            </div>
-        `;
+        return cardHtml({
+            id: 'blazor-failed',
+            icon: errorIcon,
+            title: config.failedTitle,
+            titleColor: 'var(--_brc-error)',
+            subtitle: config.failedSubtitle,
+            actions: [cardButtonHtml('manual-reload-btn', config.failedReloadButtonText)]
+        });
+    }
+
+    // ===== PHASE 2: SERVER PING =====
+
+    function updatePingStatus() {
+        const el = modalEl('blazor-ping-status') || modalEl('blazor-reconnect-status');
+        if (!el) return;
+        el.textContent = withConnectionNote(formatText(config.pingAttemptText, serverPingAttempt));
+        announce(el.textContent, /* throttle= */ true);
+    }
+
+    function keepPrimaryReconnectModalActive() {
+        if (!mayTransition('waiting', 'failed')) return;
+        stopRetryCountdown();
+
+        if (!reconnectModal) {
+            showReconnectModal(/* pingAlreadyStarted= */ true);
+        }
+        transition('waiting', 'failed');
+        setTabIndicator('waiting');
+
+        const status = modalEl('blazor-reconnect-status');
+        if (networkOffline) return;
+        if (status) {
+            status.textContent = config.pingWaitingText;
+        }
+        announce(config.pingWaitingText);
+    }
+
+    // Switches whichever modal is visible to the "server is back" message. With secondsLeft
+    // the subtitle becomes the jittered-reload countdown instead of the manual-reload hint.
+    function showServerBackPrompt(secondsLeft = null) {
+        const title    = modalEl('blazor-ping-title') || modalEl('blazor-reconnect-title');
+        const subtitle = modalEl('blazor-ping-subtitle') || modalEl('blazor-reconnect-subtitle');
+        const status   = modalEl('blazor-ping-status') || modalEl('blazor-reconnect-status');
+        const btn      = modalEl('manual-reload-btn');
+        if (title)    title.textContent = config.serverBackTitle;
+        if (subtitle) subtitle.textContent = secondsLeft === null
+            ? config.serverBackManualSubtitle
+            : formatText(config.serverBackCountdownText, secondsLeft);
+        if (status)   status.textContent = '';
+        if (btn)      btn.textContent = config.serverBackManualButtonText;
+        setTabIndicator('server-back');
+        // The title, not the per-second countdown, so it's announced once.
+        if (reconnectModal) announce(config.serverBackTitle);
+    }
+
+    // ===== JITTERED RELOAD =====
+    //
+    // Spreads the server-back reloads of all connected clients over a window instead of
+    // letting them hit the freshly started instance in the same second. The window is the
+    // server's suggestion (X-Reload-Spread / reloadSpreadSeconds) when present, otherwise
+    // reloadJitterMilliseconds. The reload button skips the wait; a circuit that recovers
+    // on its own during the wait cancels the reload (see hideReconnectModal).
+
+    function computeReloadDelay(suggestedSpreadMs) {
+        const spreadMs = Math.min(
+            Math.max(0, suggestedSpreadMs ?? config.reloadJitterMilliseconds ?? 0),
+            Math.max(0, config.reloadJitterMaxMilliseconds));
+        return Math.floor((simulation?.random ?? Math.random)() * spreadMs);
+    }
+
+    function scheduleServerBackReload(delayMs) {
+        cancelPendingReload();
+        pendingReloadAt = cycleClock.now() + delayMs;
+        pendingReloadTimer = cycleClock.setTimeout(() => {
+            cancelPendingReload();
+            resumeOrReload('server-back');
+        }, delayMs);
+
+        if (reconnectModal) {
+            // The server-back countdown replaces the Phase 1 retry countdown
+            stopRetryCountdown();
+            updateServerBackCountdown();
+            pendingReloadCountdownTimer = cycleClock.setInterval(updateServerBackCountdown, 1000);
+        } else {
+            // Still inside the silent window — stay silent rather than flash the modal
+            // for the few seconds left before the reload.
+            cancelShowDelay();
+        }
+        console.log(`[BlazorReconnect] Reloading in ${delayMs}ms (jitter)`);
+    }
+
+    function updateServerBackCountdown() {
+        showServerBackPrompt(Math.max(0, Math.ceil((pendingReloadAt - cycleClock.now()) / 1000)));
+    }
+
+    // Returns true when a pending reload was cancelled.
+    function cancelPendingReload() {
+        if (pendingReloadCountdownTimer) {
+            cycleClock.clearInterval(pendingReloadCountdownTimer);
+            pendingReloadCountdownTimer = null;
+        }
+        if (!pendingReloadTimer) return false;
+        cycleClock.clearTimeout(pendingReloadTimer);
+        pendingReloadTimer = null;
+        pendingReloadAt = null;
+        return true;
+    }
+
+    // ===== SESSION EXPIRY (opt-in: authProbeUrl) =====
+    //
+    // resumeOrReload() asks probeSession() before recovering. A redirect can't be followed
+    // transparently — cookie auth redirects to the login page, OIDC to another origin — so the
+    // probe uses redirect: 'manual' and treats any redirect (an opaque response) as "signed
+    // out", along with 401 / 403. A network error counts as unknown and recovery goes on as
+    // before. Scroll and form snapshots are taken before the login redirect and restored when
+    // the user comes back to the same URL.
+
+    let sessionExpired = false;
+    let loginPopup = null;
+    let loginPopupTimer = null;
+
+    // 'ok' | 'expired' | 'unknown'
+    async function probeSession() {
+        if (!config.authProbeUrl || simulation) return 'ok';
+        try {
+            const resp = await fetch(config.authProbeUrl, {
+                cache: 'no-store',
+                credentials: 'same-origin',
+                redirect: 'manual',
+                // Cookie auth answers XHR-style requests with 401 instead of a login redirect
+                headers: { 'X-Requested-With': 'XMLHttpRequest' }
+            });
+            if (resp.type === 'opaqueredirect' || resp.status === 401 || resp.status === 403 ||
+                (resp.status >= 300 && resp.status < 400)) {
+                return 'expired';
+            }
+            return 'ok';
+        } catch (e) {
+            return 'unknown';
+        }
+    }
+
+    function getLoginUrl() {
+        const url = new URL(config.loginUrl, document.baseURI);
+        // A local (path-only) return URL passes ASP.NET Core's open-redirect checks
+        url.searchParams.set(config.returnUrlParameter, location.pathname + location.search + location.hash);
+        return url.href;
+    }
+
+    function getSessionExpiredHtml() {
+        return cardHtml({
+            id: 'blazor-session',
+            title: config.sessionExpiredTitle,
+            subtitle: config.sessionExpiredSubtitle,
+            actions: [cardButtonHtml('blazor-signin-btn', config.signInButtonText)]
+        });
+    }
+
+    // reason: the recovery that was interrupted ('server-back', 'circuit-rejected', …) —
+    // resumed once a popup sign-in succeeds.
+    function showSessionExpired(reason) {
+        if (!mayTransition('session-expired', reason)) return;
+        stopServerPing();
+        stopRetryCountdown();
+        cancelPendingReload();
+        cancelShowDelay();
+        saveScrollPosition();
+        saveFormState();
+        if (modalEl('blazor-signin-btn')) return;
+
+        console.log(`[BlazorReconnect] Sign-in expired (${config.authProbeUrl} rejected the session) — asking the user to sign in again`);
+        sessionExpired = true;
+        transition('session-expired', reason);
+        const swapping = !!reconnectModal;
+        if (reconnectModal) {
+            reconnectModal.remove();
+            reconnectModal = null;
+        }
+        if (disconnectedAt === null) disconnectedAt = cycleClock.now();
+        if (modalShownAt === null) modalShownAt = cycleClock.now();
+        emit('session-expired', { reason, loginMode: config.loginMode });
+
+        reconnectModal = mountModal(getSessionExpiredHtml(), config.sessionExpiredHtml);
+        if (!swapping) activateModal();
+        else if (displayMode !== 'modal') applyDisplayMode();
+        else focusModalDialog();
+        announce(config.sessionExpiredTitle);
+        modalEl('blazor-signin-btn')?.addEventListener('click', () => signIn(reason));
+    }
+
+    function signIn(reason) {
+        const loginUrl = getLoginUrl();
+        if (config.loginMode === 'popup') {
+            loginPopup = window.open(loginUrl, 'blazor-reconnect-login', 'popup,width=520,height=680');
+            if (loginPopup) {
+                watchLoginPopup(reason);
+                return;
+            }
+            console.log('[BlazorReconnect] Login popup was blocked — redirecting instead');
+        }
+        emit('reload', { reason: 'session-expired', url: loginUrl });
+        transition('reloading', 'session-expired');
+        saveScrollPosition();
+        saveFormState();
+        window.location.assign(loginUrl);
+    }
+
+    // Polls the auth probe while the popup is open; a 2xx means the new cookie is in place.
+    function watchLoginPopup(reason) {
+        clearInterval(loginPopupTimer);
+        let probing = false;
+        loginPopupTimer = setInterval(async () => {
+            if (probing) return;
+            probing = true;
+            const state = await probeSession();
+            probing = false;
+            if (state === 'ok') {
+                clearInterval(loginPopupTimer);
+                loginPopupTimer = null;
+                try { loginPopup?.close(); } catch (e) { /* navigated cross-origin */ }
+                loginPopup = null;
+                console.log('[BlazorReconnect] Signed in again — continuing recovery');
+                sessionExpired = false;
+                emit('session-restored', { reason });
+                resumeOrReload(reason);
+            } else if (loginPopup?.closed) {
+                // Closed without signing in — leave the card up so the button can be used again
+                clearInterval(loginPopupTimer);
+                loginPopupTimer = null;
+                loginPopup = null;
+            }
+        }, 1500);
+    }
+
+    // ===== CIRCUIT RESUME (.NET 10) =====
+    //
+    // .NET 10 can persist a circuit's component state in the browser when the server pauses
+    // or loses it (e.g. graceful shutdown during a deploy). Blazor.resumeCircuit() starts a
+    // new circuit from that state, so the user keeps the page exactly as it was — no reload.
+    // With resumeCircuitBeforeReload, every "server is back, old circuit gone" path tries it
+    // first and only falls back to safeReload() when it returns false or throws.
+    //
+    // Paused circuits (Blazor.pauseCircuit() or server-initiated) get their own modal with a
+    // Resume button, mirroring the .NET 10 ReconnectModal template: resumeCircuit() → true
+    // closes it, false reloads, an exception switches to the "resume failed" content.
+
+    function canResumeCircuit() {
+        return !!config.resumeCircuitBeforeReload && typeof blazorRuntime()?.resumeCircuit === 'function';
+    }
+
+    // Returns true when the circuit was resumed and no reload is needed.
+    // Returns 'resumed', 'rejected' (no persisted state, or resume unavailable) or
+    // 'unreachable' (resumeCircuit() threw — the server went away again).
+    async function tryResumeCircuit(reason) {
+        if (!canResumeCircuit()) return 'rejected';
+        console.log(`[BlazorReconnect] Trying Blazor.resumeCircuit() before reloading (${reason})`);
+        let resumed = false;
+        let threw = false;
+        try {
+            resumed = !!(await Blazor.resumeCircuit());
+        } catch (e) {
+            threw = true;
+        }
+        if (!resumed) {
+            console.log(`[BlazorReconnect] Circuit resume ${threw ? 'failed (server unreachable) — back to Phase 2 polling' : 'rejected (no persisted state) — falling back to reload'}`);
+            emit('resume-failed', { reason, error: threw });
+            return threw ? 'unreachable' : 'rejected';
+        }
+        console.log('[BlazorReconnect] ✅ Circuit resumed from persisted state — no reload needed');
+        emit('circuit-resumed', { reason });
+        // Blazor usually fires hide() as well; hideReconnectModal() tolerates both orders.
+        hideReconnectModal();
+        return 'resumed';
+    }
+
+    async function resumeOrReload(reason) {
+        if (await probeSession() === 'expired') {
+            showSessionExpired(reason);
+            return;
+        }
+        const outcome = await tryResumeCircuit(reason);
+        if (outcome === 'resumed') return;
+        if (outcome === 'unreachable') {
+            // Reloading now would land on the browser's error page — keep polling instead,
+            // the way leaveIdle() does when resume fails.
+            if (!mayTransition('reconnecting', 'resume-failed')) return;
+            if (reconnectModal) {
+                reconnectModal.remove();
+                reconnectModal = null;
+                deactivateModal();
+            }
+            showReconnectModal();
+            return;
+        }
+        safeReload(reason);
+    }
+
+    function getPausedHtml() {
+        return cardHtml({
+            id: 'blazor-paused',
+            title: config.pausedTitle,
+            subtitle: config.pausedSubtitle,
+            actions: [cardButtonHtml('blazor-resume-btn', config.resumeButtonText)]
+        });
+    }
+
+    function showPausedModal() {
+        if (modalEl('blazor-resume-btn')) return;  // hook and poll both report it
+        if (holdForIdle()) return;                 // our own idle pause — leaveIdle() resumes it
+        if (!mayTransition('paused', 'paused')) return;
+        console.log('[BlazorReconnect] Circuit paused — showing resume UI');
+        cancelShowDelay();
+        stopRetryCountdown();
+        // The Resume button is the way out — a server-back reload would throw the persisted state away.
+        stopServerPing();
+        if (reconnectModal) {
+            reconnectModal.remove();
+            reconnectModal = null;
+        }
+        if (disconnectedAt === null) {
+            disconnectedAt = cycleClock.now();
+            applyRoutePolicy();
+        }
+        modalShownAt = cycleClock.now();
+        emit('modal-shown', { variant: 'paused' });
+        transition('paused', 'paused');
+
+        reconnectModal = mountModal(getPausedHtml(), config.pausedHtml);
+        activateModal();
+        announce(config.pausedTitle);
+
+        modalEl('blazor-resume-btn')?.addEventListener('click', resumeFromPausedModal);
+    }
+
+    async function resumeFromPausedModal() {
+        const btn = modalEl('blazor-resume-btn');
+        if (btn) btn.disabled = true;
+        try {
+            const resumed = await Blazor.resumeCircuit();
+            if (resumed) {
+                emit('circuit-resumed', { reason: 'paused' });
+            } else {
+                // Server reachable but the persisted state is gone — a fresh page is the only way on.
+                safeReload('manual');
+            }
+        } catch (e) {
+            emit('resume-failed', { reason: 'paused', error: true });
+            showResumeFailed();
+        }
+        if (btn) btn.disabled = false;
+    }
+
+    function showResumeFailed() {
+        const title    = modalEl('blazor-paused-title');
+        const subtitle = modalEl('blazor-paused-subtitle');
+        const btn      = modalEl('blazor-resume-btn');
+        if (title)    title.textContent = config.resumeFailedTitle;
+        if (subtitle) subtitle.textContent = config.resumeFailedSubtitle;
+        if (btn)      btn.textContent = config.resumeFailedButtonText;
+        announce(config.resumeFailedTitle);
+    }
+
+    // Single exit for a successful Phase 2 ping (interval, immediate, or broadcast by
+    // another tab). fromOtherTab=true when the leader tab reported the server back.
+    // reloadSpreadMs is the server-suggested jitter window, if the health response had one.
+    function handleServerBack(fromOtherTab = false, status = null, reloadSpreadMs = null) {
+        // An idle tab doesn't reload for another tab's broadcast — leaveIdle() pings itself.
+        if (idlePaused) return;
+        // Already counting down to the reload — a second ping must not roll a new delay.
+        if (pendingReloadTimer) return;
+        if (!transition('server-back', fromOtherTab ? 'other-tab' : 'ping-ok')) return;
+        const attempts = outagePingAttempts;
+        stopServerPing();
+        healthProbe?.reset();
+        if (!fromOtherTab) postCrossTabMessage('server-back', { reloadSpreadMs });
+        const reloadDelayMs = config.autoReloadOnServerBack ? computeReloadDelay(reloadSpreadMs) : 0;
+        const detail = emit('server-back', {
+            attempts,
+            status,
+            fromOtherTab,
+            silent: modalShownAt === null,
+            autoReload: !!config.autoReloadOnServerBack,
+            reloadDelayMs
+        });
+
+        if (!config.autoReloadOnServerBack) {
+            console.log('[BlazorReconnect] Showing "server is back" prompt (autoReloadOnServerBack=false)');
+            showServerBackPrompt();
+            return;
+        }
+
+        const hidden = pageVisibility() === 'hidden';
+        const notified = hidden && notifyServerBack();
+
+        // Hidden follower tabs reload lazily on their next visibilitychange so a deploy
+        // doesn't trigger N simultaneous reloads for tabs nobody is looking at. A tab that
+        // just raised a desktop notification waits the same way, for the click.
+        if ((fromOtherTab || notified) && hidden) {
+            console.log(`[BlazorReconnect] Server back${fromOtherTab ? ' (reported by another tab)' : ''} — reload deferred until this tab is visible`);
+            reloadWhenVisible = true;
+            deferredServerBack = detail;
+            setTabIndicator('server-back');
+            return;
+        }
+
+        fireCallback('onServerBack', detail);
+        if (reloadDelayMs > 0) {
+            scheduleServerBackReload(reloadDelayMs);
+            return;
+        }
+        console.log('[BlazorReconnect] Auto-reloading page');
+        resumeOrReload('server-back');
+    }
+
+    // Runs the reload handleServerBack() deferred for a hidden tab. trigger: 'visibility' |
+    // 'notification'. Returns false when nothing was deferred.
+    function runDeferredReload(trigger) {
+        if (!reloadWhenVisible) return false;
+        reloadWhenVisible = false;
+        lastTrigger = trigger;
+        // server-back was already emitted when the reload was deferred; only the callback is left
+        fireCallback('onServerBack', deferredServerBack);
+        deferredServerBack = null;
+        resumeOrReload('server-back');
+        return true;
+    }
+
+    function stopServerPing(circuitRestored = false) {
+        // Abort any in-flight fetch immediately so it cannot trigger a reload
+        // after Blazor has already reconnected the circuit.
+        if (serverPingAbortController) {
+            serverPingAbortController.abort();
+            serverPingAbortController = null;
+        }
+        if (serverPingStartTimer) {
+            cycleClock.clearTimeout(serverPingStartTimer);
+            serverPingStartTimer = null;
+        }
+        if (serverPingTimer) {
+            cycleClock.clearInterval(serverPingTimer);
+            serverPingTimer = null;
+        }
+        serverPingAttempt = 0;
+        resignPingLeadership();
+        if (circuitRestored) {
+            healthProbe?.reset();
+            console.log('[BlazorReconnect] Phase 2 aborted — circuit was restored by Blazor');
+        }
+    }
+
+    function startServerPing(delayMs) {
+        if (!config.serverPingEnabled) {
+            console.log('[BlazorReconnect] Phase 2 disabled (serverPingEnabled=false)');
+            return;
+        }
+        if (idlePaused) return;
+        stopServerPing();
+        if (isNetworkOffline()) {
+            enterOfflineState();
+            return;
+        }
+        serverPingAttempt = 0;
+        currentPingIntervalMs = config.serverPingIntervalMilliseconds;
+
+        const delay = delayMs ?? 0;
+
+        const begin = () => {
+            serverPingStartTimer = null;
+            console.log(`[BlazorReconnect] Phase 2 started — polling ${getHealthProbe().label} every ${currentPingIntervalMs}ms indefinitely`);
+            serverPingTimer = cycleClock.setInterval(serverPingTick, currentPingIntervalMs);
+        };
+
+        if (delay > 0) {
+            console.log(`[BlazorReconnect] Phase 2 scheduled to start in ${delay}ms`);
+            serverPingStartTimer = cycleClock.setTimeout(begin, delay);
+        } else {
+            begin();
+        }
+    }
+
+    async function serverPingTick() {
+        // Belt-and-suspenders: if circuit was restored since last tick, stop
+        if (circuitUp()) { stopServerPing(); return; }
+
+        if (isNetworkOffline()) { enterOfflineState(); return; }
+
+        // Another tab is already polling /health — wait for its broadcast instead
+        if (!claimPingLeadership()) return;
+
+        serverPingAttempt++;
+        outagePingAttempts++;
+        updatePingStatus();
+        emit('ping-attempt', { attempt: outagePingAttempts, immediate: false });
+
+        // Fresh AbortController per tick so stopServerPing() can cancel it
+        serverPingAbortController = new AbortController();
+        try {
+            const result = await getHealthProbe().run(serverPingAbortController.signal, outagePingAttempts);
+            serverPingAbortController = null;
+
+            // Double-check: did Blazor reconnect the circuit while we were waiting?
+            if (circuitUp()) {
+                console.log('[BlazorReconnect] Phase 2 ping resolved but circuit was already restored — skipping reload');
+                return;
+            }
+
+            if (result.ready) {
+                console.log(`[BlazorReconnect] Phase 2: server responded (${result.status}) after ${serverPingAttempt} attempt(s)`);
+                handleServerBack(false, result.status, result.reloadSpreadMs);
+            } else {
+                // Non-2xx (e.g. 503 during deploy), 2xx but not ready (e.g. 'Degraded') or
+                // not enough ready answers in a row yet. Keep polling — server may still be starting up.
+                emit('ping-failed', { attempt: outagePingAttempts, immediate: false, status: result.status, reason: pingFailureReason(result), healthStatus: result.healthStatus });
+                if (!result.streak) {
+                    postCrossTabMessage('ping-failed', { status: result.status });
+                    notePingFailure(`Phase 2: first ping failure (${result.status}${result.healthStatus ? ' ' + result.healthStatus : ''})`);
+                }
+                applyPingInterval(result.retryAfterMs);
+            }
+        } catch (err) {
+            serverPingAbortController = null;
+            if (err.name === 'AbortError') {
+                // Cancelled by stopServerPing() — circuit reconnected, do nothing
+                return;
+            }
+            // Network-level failure — server still unreachable, keep polling silently.
+            emit('ping-failed', { attempt: outagePingAttempts, immediate: false, status: null, reason: 'network', healthStatus: null });
+            postCrossTabMessage('ping-failed', { status: null });
+            notePingFailure('Phase 2: first ping failure (network error)');
+        }
+    }
+
+    // Counts a Phase 2 failure of this disconnect cycle. On the first one, if the grace
+    // period already expired and requireFailedPingBeforeModal was holding the modal, show it now.
+    function notePingFailure(message) {
+        outagePingFailures++;
+        if (outagePingFailures > 1) return;
+        console.log(`[BlazorReconnect] ${message}`);
+        if (modalHeld() && !reconnectModal) {
+            showReconnectModal(/* pingAlreadyStarted= */ true);
+        }
+    }
+
+    // ===== HEALTH PROBE STRATEGIES =====
+    //
+    // Phase 2 ticks and immediate pings ask a probe whether the server is back instead of
+    // fetching serverPingUrl directly. config.healthProbe picks the strategy:
+    //
+    //   null                                       GET serverPingUrl (the classic behaviour)
+    //   { type: 'url', url, method: 'HEAD' }       one endpoint; url defaults to serverPingUrl
+    //   { type: 'race', urls: [...], method }      all endpoints at once — the first ready
+    //                                              answer wins and the others are cancelled
+    //   { type: 'consecutive', successes: 3, probe: <strategy> }
+    //                                              ready only after N ready answers in a row
+    //   { type: 'custom', probe: async ({ signal, attempt }) => boolean | Response | { ready, status } }
+    //
+    // A string is shorthand for a 'url' probe and a function for a 'custom' one. Every
+    // strategy runs on the tick's AbortSignal, so stopServerPing() cancels probes exactly
+    // as it cancelled the plain fetch. Responses still go through evaluatePingResponse
+    // (serverReadyStatuses, Retry-After, reload spread). A probe resolves to
+    // { ready, ok, status, healthStatus, retryAfterMs, reloadSpreadMs } and throws on
+    // network failure.
+
+    let healthProbe = null;            // built from config.healthProbe on first use
+
+    function getHealthProbe() {
+        healthProbe ??= createHealthProbe(config.healthProbe ?? config.serverPingUrl);
+        return healthProbe;
+    }
+
+    function createHealthProbe(spec) {
+        if (typeof spec === 'string') spec = { type: 'url', url: spec };
+        else if (typeof spec === 'function') spec = { type: 'custom', probe: spec };
+        const method = (spec.method || 'GET').toUpperCase();
+        if (method === 'HEAD' && config.serverReadyStatuses?.length && !config.serverReadyPredicate) {
+            // A HEAD response has no body to read the health status from — never ready.
+            console.warn('[BlazorReconnect] healthProbe uses HEAD but serverReadyStatuses needs a response body — the server will never count as back. Use GET, or set serverReadyStatuses: null.');
+        }
+        switch (spec.type) {
+            case 'url': {
+                const url = spec.url || config.serverPingUrl;
+                return { label: `${method} ${url}`, run: signal => probeUrl(url, method, signal), reset() {} };
+            }
+            case 'race': {
+                const urls = spec.urls?.length ? spec.urls : [config.serverPingUrl];
+                return { label: `${method} ${urls.join(' | ')}`, run: signal => raceProbeUrls(urls, method, signal), reset() {} };
+            }
+            case 'consecutive':
+                return createConsecutiveProbe(createHealthProbe(spec.probe ?? config.serverPingUrl), Math.max(1, spec.successes ?? 2));
+            case 'custom':
+                return { label: 'custom probe', run: (signal, attempt) => runCustomProbe(spec.probe, signal, attempt), reset() {} };
+            default:
+                console.log(`[BlazorReconnect] Unknown healthProbe type '${spec.type}' — using serverPingUrl`);
+                return createHealthProbe(config.serverPingUrl);
+        }
+    }
+
+    async function probeUrl(url, method, signal) {
+        const resp = simulation
+            ? await simulatedResponse(signal)
+            : await fetch(url, { method, cache: 'no-store', signal });
+        return { ...(await evaluatePingResponse(resp)), ok: resp.ok, status: resp.status, url };
+    }
+
+    // Resolves with the first ready result, else with the first answer that came back;
+    // rejects only when every endpoint failed at network level (or the tick was aborted).
+    async function raceProbeUrls(urls, method, signal) {
+        const ctrl = new AbortController();
+        const abort = () => ctrl.abort();
+        signal.addEventListener('abort', abort);
+        try {
+            return await new Promise((resolve, reject) => {
+                let pending = urls.length;
+                let answer = null;
+                let error = null;
+                const settle = () => {
+                    if (--pending > 0) return;
+                    if (answer) resolve(answer); else reject(error);
+                };
+                urls.forEach(url => probeUrl(url, method, ctrl.signal).then(result => {
+                    if (result.ready) resolve(result);
+                    answer ??= result;
+                    settle();
+                }, err => {
+                    error ??= err;
+                    settle();
+                }));
+            });
+        } finally {
+            signal.removeEventListener('abort', abort);
+            ctrl.abort();   // cancel the endpoints that lost
+        }
+    }
+
+    // Counts ready answers in a row. A not-yet-enough answer comes back as not ready with
+    // its streak, reported as ping-failed reason 'threshold'. The count starts over on any
+    // failure and when the disconnect cycle ends (reset()).
+    function createConsecutiveProbe(inner, needed) {
+        let streak = 0;
+        return {
+            label: `${inner.label} (${needed} in a row)`,
+            async run(signal, attempt) {
+                let result;
+                try {
+                    result = await inner.run(signal, attempt);
+                } catch (err) {
+                    if (err.name !== 'AbortError') streak = 0;
+                    throw err;
+                }
+                streak = result.ready ? streak + 1 : 0;
+                if (!result.ready || streak >= needed) return result;
+                console.log(`[BlazorReconnect] Health probe ready ${streak}/${needed} — waiting for more`);
+                return { ...result, ready: false, streak };
+            },
+            reset() {
+                streak = 0;
+                inner.reset();
+            }
+        };
+    }
+
+    async function runCustomProbe(probe, signal, attempt) {
+        const value = await probe({ signal, attempt });
+        if (value && typeof value.status === 'number' && typeof value.headers?.get === 'function') {
+            return { ...(await evaluatePingResponse(value)), ok: value.ok, status: value.status };
+        }
+        const answer = value !== null && typeof value === 'object' ? value : { ready: !!value };
+        return {
+            ready: !!answer.ready,
+            ok: answer.ok ?? true,
+            status: answer.status ?? null,
+            healthStatus: answer.healthStatus ?? null,
+            retryAfterMs: answer.retryAfterMs ?? null,
+            reloadSpreadMs: answer.reloadSpreadMs ?? null
+        };
+    }
+
+    function pingFailureReason(result) {
+        if (result.streak) return 'threshold';
+        return result.ok ? 'not-ready' : 'http';
+    }
+
+    // ===== HEALTH RESPONSE EVALUATION =====
+    //
+    // By default any 2xx from serverPingUrl means "server is back". With serverReadyStatuses
+    // (e.g. ['Healthy']) the body is read as an ASP.NET Core HealthChecks response — JSON
+    // { "status": "Healthy", ... } or the default plain-text writer ('Healthy' / 'Degraded' /
+    // 'Unhealthy') — and only the listed statuses count as ready. serverReadyPredicate
+    // (response, body, healthStatus) => boolean | Promise<boolean> takes full control.
+    //
+    // With honorRetryAfter, a Retry-After header (seconds or HTTP date) stretches the
+    // next Phase 2 interval up to serverPingMaxIntervalMilliseconds; a response without
+    // it returns polling to serverPingIntervalMilliseconds.
+
+    async function evaluatePingResponse(resp) {
+        const retryAfterMs = config.honorRetryAfter ? parseRetryAfter(resp.headers?.get('Retry-After')) : null;
+        if (!resp.ok) return { ready: false, healthStatus: null, retryAfterMs, reloadSpreadMs: null };
+
+        // Body read shares the fetch's AbortSignal — an AbortError propagates to the caller.
+        // Plain 2xx responses are only read when they are JSON (may carry reloadSpreadSeconds).
+        const hasReadinessCheck = Array.isArray(config.serverReadyStatuses) || typeof config.serverReadyPredicate === 'function';
+        const isJson = /json/i.test(resp.headers?.get('Content-Type') || '');
+        const body = hasReadinessCheck || isJson ? await resp.text() : '';
+        const healthStatus = parseHealthStatus(body);
+        const reloadSpreadMs = parseReloadSpread(resp.headers?.get('X-Reload-Spread'), body);
+        if (!hasReadinessCheck) return { ready: true, healthStatus, retryAfterMs, reloadSpreadMs };
+
+        let ready;
+        if (typeof config.serverReadyPredicate === 'function') {
+            try {
+                ready = !!(await config.serverReadyPredicate(resp, body, healthStatus));
+            } catch (e) {
+                ready = false;
+            }
+        } else {
+            ready = healthStatus !== null &&
+                config.serverReadyStatuses.some(s => String(s).toLowerCase() === healthStatus.toLowerCase());
+        }
+        if (!ready) console.log(`[BlazorReconnect] Health endpoint reachable but not ready (status: ${healthStatus ?? 'unknown'})`);
+        return { ready, healthStatus, retryAfterMs, reloadSpreadMs };
+    }
+
+    function parseHealthStatus(body) {
+        const text = (body || '').trim();
+        if (!text) return null;
+        try {
+            const json = JSON.parse(text);
+            if (typeof json === 'string') return json;
+            if (json && typeof json.status === 'string') return json.status;
+            if (json && typeof json.Status === 'string') return json.Status;
+            return null;
+        } catch (e) {
+            // Default HealthChecks writer: a bare status word
+            return /^\w+$/.test(text) ? text : null;
+        }
+    }
+
+    function parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - cycleClock.now());
+    }
+
+    // Server-suggested reload jitter window in ms: X-Reload-Spread header (seconds) first,
+    // then a top-level reloadSpreadSeconds field in a JSON health body.
+    function parseReloadSpread(header, body) {
+        const fromHeader = Number(header);
+        if (header && !isNaN(fromHeader)) return Math.max(0, fromHeader * 1000);
+        try {
+            const seconds = Number(JSON.parse(body).reloadSpreadSeconds);
+            return isNaN(seconds) ? null : Math.max(0, seconds * 1000);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Restarts the Phase 2 interval when Retry-After asks for a different cadence.
+    function applyPingInterval(retryAfterMs) {
+        const base = config.serverPingIntervalMilliseconds;
+        const next = retryAfterMs == null
+            ? base
+            : Math.min(Math.max(retryAfterMs, base), Math.max(base, config.serverPingMaxIntervalMilliseconds));
+        if (next === currentPingIntervalMs) return;
+        currentPingIntervalMs = next;
+        console.log(`[BlazorReconnect] Phase 2 interval now ${next}ms${retryAfterMs == null ? '' : ' (Retry-After)'}`);
+        if (serverPingTimer) {
+            cycleClock.clearInterval(serverPingTimer);
+            serverPingTimer = cycleClock.setInterval(serverPingTick, next);
+        }
+    }
+
+    // ===== IMMEDIATE PING (triggered by visibility restore) =====
+    //
+    // Fires a single one-shot health check RIGHT NOW, bypassing the Phase 2 start
+    // delay and the current interval position. Used by the visibilitychange handler
+    // so discovery time collapses to one network RTT when the user returns to the tab.
+    // trigger: 'visibility' | 'focus' | 'online' | 'interaction' | 'manual' | 'notification' — reported on the event stream.
+    async function fireImmediatePing(trigger = 'manual') {
+        if (!config.serverPingEnabled) return;
+        if (circuitUp() || idlePaused) return;
+        if (isNetworkOffline()) { enterOfflineState(); return; }
+        // The server is already known to be back — the jittered reload is on its way
+        if (pendingReloadTimer) return;
+
+        lastTrigger = trigger;
+        console.log(`[BlazorReconnect] Immediate health check (${trigger})`);
+
+        // Cancel any pending start-delay — Phase 2 is starting right now
+        if (serverPingStartTimer) {
+            cycleClock.clearTimeout(serverPingStartTimer);
+            serverPingStartTimer = null;
+        }
+
+        // Abort any in-flight fetch from the regular interval so we don't double-reload
+        if (serverPingAbortController) {
+            serverPingAbortController.abort();
+            serverPingAbortController = null;
+        }
+
+        const ctrl = new AbortController();
+        serverPingAbortController = ctrl;
+        outagePingAttempts++;
+        emit('ping-attempt', { attempt: outagePingAttempts, immediate: true });
+        try {
+            const result = await getHealthProbe().run(ctrl.signal, outagePingAttempts);
+            serverPingAbortController = null;
+
+            if (circuitUp()) {
+                console.log('[BlazorReconnect] Immediate ping resolved but circuit already restored — skipping reload');
+                return;
+            }
+
+            if (result.ready) {
+                console.log(`[BlazorReconnect] Immediate ping OK (${result.status}) — server is reachable`);
+                handleServerBack(false, result.status, result.reloadSpreadMs);
+            } else {
+                // Server reachable but non-2xx or not ready (e.g. degraded health) — continue polling.
+                emit('ping-failed', { attempt: outagePingAttempts, immediate: true, status: result.status, reason: pingFailureReason(result), healthStatus: result.healthStatus });
+                if (!result.streak) notePingFailure(`Immediate ping non-OK (${result.status}) — marking first ping failure`);
+                console.log(`[BlazorReconnect] Immediate ping non-OK (${result.status}) — continuing polling`);
+                // Restart regular interval if it was cleared above
+                if (!serverPingTimer) startServerPing(0);
+                applyPingInterval(result.retryAfterMs);
+            }
+        } catch (err) {
+            serverPingAbortController = null;
+            if (err.name === 'AbortError') return; // cancelled by stopServerPing() — circuit restored
+            // Network-level failure — mark first failure and show modal if waiting.
+            emit('ping-failed', { attempt: outagePingAttempts, immediate: true, status: null, reason: 'network', healthStatus: null });
+            notePingFailure('Immediate ping failed (network error) — marking first ping failure');
+            // Server unreachable — ensure regular polling is running
+            console.log('[BlazorReconnect] Immediate ping failed (server unreachable) — continuing polling');
+            if (!serverPingTimer) startServerPing(0);
+        }
+    }
+
+    // ===== NETWORK STATE (offline / connection quality) =====
+    //
+    // "You are offline" and "the server is down" need different copy. Pinging /health can't
+    // tell them apart, but navigator.onLine can. Going offline during a disconnect cycle
+    // pauses Phase 2 and switches the visible modal to the offline texts and icon. That
+    // counts as the first ping failure, so requireFailedPingBeforeModal doesn't hold the
+    // modal back forever. The 'online' event restores the texts and fires an immediate ping,
+    // and Phase 2 restarts from there.
+
+    let networkOffline = false;
+    let offlineSince = null;
+    let offlineUi = null;              // { texts: [[el, text]], icon, offlineIcon } to undo the swap
+
+    // Network Information API snapshot (Chromium / Android); null where unsupported.
+    function getConnectionInfo() {
+        const c = navigator.connection;
+        if (!c) return null;
+        return {
+            type: c.type ?? null,
+            effectiveType: c.effectiveType ?? null,
+            downlink: c.downlink ?? null,
+            rtt: c.rtt ?? null,
+            saveData: !!c.saveData
+        };
+    }
+
+    // Appends slowConnectionText to a status line when the connection is slow-2g / 2g.
+    function withConnectionNote(text) {
+        const effectiveType = getConnectionInfo()?.effectiveType;
+        if (effectiveType !== 'slow-2g' && effectiveType !== '2g') return text;
+        return `${text} ${config.slowConnectionText.replace('{type}', effectiveType)}`;
+    }
+
+    // document.visibilityState, or the simulated one during BlazorReconnect.simulate()
+    function pageVisibility() {
+        return simulation?.visibility ?? document.visibilityState;
+    }
+
+    // The Blazor runtime — hidden from a simulated outage so it never touches the live circuit.
+    function blazorRuntime() {
+        return simulation ? null : window.Blazor;
+    }
+
+    function isNetworkOffline() {
+        return config.offlineDetection && (simulation?.online ?? navigator.onLine) === false;
+    }
+
+    function getOfflineIconHtml() {
+        return `
+            <svg part="icon" style="width: 48px; height: 48px; margin: 0 auto 1rem; display: block; stroke: var(--_brc-text-muted);"
+                 viewBox="0 0 24 24" fill="none" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <line x1="1" y1="1" x2="23" y2="23"/>
+                <path d="M16.72 11.06A10.94 10.94 0 0 1 19 12.55"/>
+                <path d="M5 12.55a10.94 10.94 0 0 1 5.17-2.39"/>
+                <path d="M10.71 5.05A16 16 0 0 1 22.58 9"/>
+                <path d="M1.42 9a15.91 15.91 0 0 1 4.7-2.88"/>
+                <path d="M8.53 16.11a6 6 0 0 1 6.95 0"/>
+                <line x1="12" y1="20" x2="12.01" y2="20"/>
+            </svg>
+        `;
+    }
+
+    function enterOfflineState() {
+        if (networkOffline) return;
+        const from = machineState;
+        if (!transition('offline', 'offline')) return;
+        stateBeforeOffline = from;
+        networkOffline = true;
+        offlineSince = cycleClock.now();
+        console.log('[BlazorReconnect] Browser is offline — pausing Phase 2 until the network is back');
+
+        // Pause Phase 2 without resetting its counters; 'online' restarts it.
+        serverPingAbortController?.abort();
+        serverPingAbortController = null;
+        cycleClock.clearTimeout(serverPingStartTimer);
+        serverPingStartTimer = null;
+        cycleClock.clearInterval(serverPingTimer);
+        serverPingTimer = null;
+
+        emit('offline', { connection: getConnectionInfo() });
+        notePingFailure('Browser offline — treating as first ping failure');
+        showOfflineState();
+    }
+
+    function leaveOfflineState() {
+        if (!networkOffline) return;
+        networkOffline = false;
+        console.log('[BlazorReconnect] Browser is back online — resuming Phase 2');
+        emit('online', { offlineMs: cycleClock.now() - offlineSince, connection: getConnectionInfo() });
+        offlineSince = null;
+        clearOfflineState();
+        if (machineState === 'offline') transition(stateBeforeOffline, 'online');
+    }
+
+    // Applies the offline texts and icon to the visible modal. Called again after each
+    // modal swap (showReconnectModal / showFailedModal), so it starts from a fresh offlineUi.
+    function showOfflineState() {
+        if (!networkOffline || !reconnectModal || offlineUi) return;
+        offlineUi = { texts: [], icon: null, offlineIcon: null };
+        const setText = (el, text) => {
+            if (!el) return;
+            offlineUi.texts.push([el, el.textContent]);
+            el.textContent = text;
+        };
+        setText(modalEl('blazor-ping-title') || modalEl('blazor-reconnect-title'), config.offlineTitle);
+        setText(modalEl('blazor-ping-subtitle') || modalEl('blazor-reconnect-subtitle'), config.offlineSubtitle);
+        setText(modalEl('blazor-ping-status') || modalEl('blazor-reconnect-status'), config.offlineStatusText);
+
+        const icon = (reconnectModal.shadowRoot || reconnectModal).querySelector('[part=icon]');
+        if (icon) {
+            const holder = document.createElement('div');
+            setHtml(holder, getOfflineIconHtml());
+            const offlineIcon = holder.firstElementChild;
+            if (DISPLAY_MODE_STYLES[displayMode]) offlineIcon.style.cssText += DISPLAY_MODE_STYLES[displayMode].icon;
+            icon.replaceWith(offlineIcon);
+            offlineUi.icon = icon;
+            offlineUi.offlineIcon = offlineIcon;
+        }
+        announce(config.offlineTitle);
+    }
+
+    function clearOfflineState() {
+        if (!offlineUi) return;
+        offlineUi.texts.forEach(([el, text]) => { el.textContent = text; });
+        offlineUi.offlineIcon?.replaceWith(offlineUi.icon);
+        offlineUi = null;
+    }
+
+    // ===== CONNECTION QUALITY (opt-in: connectionQuality) =====
+    //
+    // A slow mobile link makes Blazor Server feel sluggish long before the circuit drops.
+    // While the circuit is up, the tab is visible and the browser is online, serverPingUrl
+    // is timed every connectionQualityIntervalMilliseconds. The level is taken from the
+    // rolling average of the last connectionQualitySamples round trips, so one slow response
+    // doesn't flap it: 'good', 'slow' (>= connectionQualitySlowMilliseconds) or 'poor'
+    // (>= connectionQualityPoorMilliseconds). On each level change:
+    //   - a 'connection-quality' event fires,
+    //   - <html data-blazor-connection-quality="…"> is updated for CSS,
+    //   - a small role="status" pill shows in the bottom-left corner for slow / poor.
+    // Probing stops during a disconnect cycle, which has its own UI, and during a simulate() run.
+
+    let qualityTimer = null;
+    let qualitySamples = [];
+    let qualityLevel = 'good';
+    let qualityLatencyMs = null;
+    let qualityIndicator = null;
+    let qualityProbeInFlight = false;  // a hanging request must not pile up probes
+
+    function isDisconnectCycleActive() {
+        return !!reconnectModal || !!showDelayTimer || !!serverPingTimer || !!serverPingStartTimer || networkOffline || !!pendingReloadTimer;
+    }
+
+    async function measureConnectionQuality() {
+        if (isInitialLoad() || simulation || isDisconnectCycleActive() || idlePaused) return;
+        if (pageVisibility() === 'hidden' || navigator.onLine === false || qualityProbeInFlight) return;
+
+        qualityProbeInFlight = true;
+        const started = performance.now();
+        try {
+            const resp = await fetch(config.serverPingUrl, { cache: 'no-store' });
+            if (!resp.ok) return;   // not a latency signal — Phase 2 deals with a failing server
+        } catch (e) {
+            return;
+        } finally {
+            qualityProbeInFlight = false;
+        }
+        // The circuit may have dropped while the request was in flight.
+        if (isDisconnectCycleActive()) return;
+
+        qualitySamples.push(Math.round(performance.now() - started));
+        qualitySamples = qualitySamples.slice(-Math.max(1, config.connectionQualitySamples));
+        qualityLatencyMs = Math.round(qualitySamples.reduce((a, b) => a + b, 0) / qualitySamples.length);
+
+        const level = qualityLatencyMs >= config.connectionQualityPoorMilliseconds ? 'poor'
+            : qualityLatencyMs >= config.connectionQualitySlowMilliseconds ? 'slow'
+            : 'good';
+        if (level !== qualityLevel) setConnectionQuality(level);
+        else updateQualityIndicator();   // brings the pill back after an outage hid it
+    }
+
+    function setConnectionQuality(level) {
+        const previousLevel = qualityLevel;
+        qualityLevel = level;
+        console.log(`[BlazorReconnect] Connection quality: ${previousLevel} → ${level} (${qualityLatencyMs}ms average)`);
+        document.documentElement.setAttribute('data-blazor-connection-quality', level);
+        emit('connection-quality', { level, previousLevel, latencyMs: qualityLatencyMs, samples: qualitySamples.length });
+        updateQualityIndicator();
+    }
+
+    function updateQualityIndicator() {
+        const text = qualityLevel === 'poor' ? config.connectionPoorText
+            : qualityLevel === 'slow' ? config.connectionSlowText
+            : null;
+        if (!text || !config.connectionQualityIndicator) {
+            qualityIndicator?.remove();
+            qualityIndicator = null;
+            return;
+        }
+        if (!qualityIndicator) {
+            qualityIndicator = document.createElement('div');
+            qualityIndicator.id = 'blazor-reconnect-quality';
+            qualityIndicator.setAttribute('role', 'status');
+            // Set through the CSSOM so it works in csp mode; the theme variables live on the modal.
+            qualityIndicator.style.cssText = 'position: fixed; left: 1rem; bottom: 1rem; z-index: 9997; pointer-events: none; ' +
+                'padding: 0.25rem 0.75rem; border-radius: 999px; font-size: 0.8rem; ' +
+                'font-family: var(--blazor-reconnect-font, var(--mud-typography-default-family, inherit)); ' +
+                'color: var(--blazor-reconnect-primary-text, #fff); box-shadow: 0 2px 6px rgba(0, 0, 0, 0.2);';
+            document.body.appendChild(qualityIndicator);
+        }
+        qualityIndicator.style.background = qualityLevel === 'poor'
+            ? 'var(--blazor-reconnect-error, var(--mud-palette-error, #e53e3e))'
+            : 'var(--blazor-reconnect-warning, var(--mud-palette-warning, #F59E0B))';
+        qualityIndicator.textContent = text;
+    }
+
+    function startConnectionQuality() {
+        if (!config.connectionQuality || qualityTimer) return;
+        document.documentElement.setAttribute('data-blazor-connection-quality', qualityLevel);
+        qualityTimer = setInterval(measureConnectionQuality, config.connectionQualityIntervalMilliseconds);
+    }
+
+    // ===== IDLE POLICY (opt-in: idleTimeoutMilliseconds) =====
+    //
+    // The idle clock starts at the later of the last input (pointer, key, wheel, touch) and
+    // the moment the tab was hidden. Hidden tabs throttle timers, so the visibilitychange and
+    // Page Lifecycle 'resume' handlers also check isIdleDue() before calling Blazor.reconnect().
+    //
+    // While idlePaused:
+    // - Phase 2, immediate pings and server-back broadcasts from other tabs are ignored;
+    // - Blazor's own retry loop is ended through retryIntervalMilliseconds returning null
+    //   (.NET 8+), and the failed() that follows is swallowed;
+    // - a disconnect, pause or failure shows the idle card instead of the usual modals.
+    // A healthy circuit on .NET 10 is paused with Blazor.pauseCircuit() (idlePauseCircuit), so
+    // the server releases it. On older versions it stays connected and nothing is shown.
+    // The next input anywhere on the page, or the card's Continue button, calls leaveIdle().
+
+    const IDLE_ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+    let idleTimer = null;
+    let lastActivityAt = Date.now();
+    let hiddenSince = pageVisibility() === 'hidden' ? Date.now() : null;
+    let idlePaused = false;
+    let idleSince = null;
+    let idleCircuitDown = false;       // circuit dropped or was paused while idle — the card is shown
+    let idlePausedCircuit = false;     // we paused it ourselves, so leaving idle resumes it
+
+    // Off during a simulate() run, which must not pause (or be paused by) the real page.
+    function idlePolicyEnabled() {
+        return config.idleTimeoutMilliseconds > 0 && !simulation;
+    }
+
+    // Epoch ms the idle clock started, or null while it isn't running.
+    function idleClockStart() {
+        if (config.idleRequireHidden) return hiddenSince === null ? null : Math.max(hiddenSince, lastActivityAt);
+        return lastActivityAt;
+    }
+
+    function isIdleDue() {
+        if (!idlePolicyEnabled() || idlePaused) return false;
+        const start = idleClockStart();
+        return start !== null && Date.now() - start >= config.idleTimeoutMilliseconds;
+    }
+
+    function scheduleIdleCheck() {
+        clearTimeout(idleTimer);
+        idleTimer = null;
+        if (!idlePolicyEnabled() || idlePaused) return;
+        const start = idleClockStart();
+        if (start === null) return;
+        const remaining = Math.max(0, start + config.idleTimeoutMilliseconds - Date.now());
+        idleTimer = setTimeout(() => {
+            idleTimer = null;
+            if (isIdleDue()) enterIdle();
+            else scheduleIdleCheck();
+        }, remaining);
+    }
+
+    let lastActivityScheduleAt = 0;
+
+    function onIdleActivity() {
+        lastActivityAt = Date.now();
+        if (idlePaused) {
+            leaveIdle('interaction');
+            return;
+        }
+        // wheel / pointer events come in bursts — re-arming the timer once a second is plenty
+        if (!config.idleRequireHidden && lastActivityAt - lastActivityScheduleAt > 1000) {
+            lastActivityScheduleAt = lastActivityAt;
+            scheduleIdleCheck();
+        }
+    }
+
+    // Called on every visibilitychange. Returns true when the tab went idle while hidden, so
+    // the caller skips its reconnect.
+    function noteVisibilityForIdle() {
+        if (!idlePolicyEnabled()) return false;
+        if (pageVisibility() === 'hidden') {
+            hiddenSince = Date.now();
+            scheduleIdleCheck();
+            return false;
+        }
+        const due = isIdleDue();
+        hiddenSince = null;
+        if (due) enterIdle();
+        else scheduleIdleCheck();
+        return idlePaused;
+    }
+
+    function enterIdle() {
+        if (idlePaused || !mayTransition('idle', 'idle')) return;
+        clearTimeout(idleTimer);
+        idleTimer = null;
+        idlePaused = true;
+        idleSince = Date.now();
+        const idleMs = idleSince - (idleClockStart() ?? idleSince);
+
+        const disconnectActive = !!reconnectModal || !!showDelayTimer || !!serverPingTimer ||
+            !!serverPingStartTimer || modalHeld() || networkOffline || !!pendingReloadTimer;
+        if (disconnectActive) {
+            console.log('[BlazorReconnect] Idle — stopping reconnection until the next interaction');
+            cancelShowDelay();
+            stopServerPing();
+            stopRetryCountdown();
+            cancelPendingReload();
+            reloadWhenVisible = false;
+            idleCircuitDown = true;
+        } else if (config.idlePauseCircuit && typeof blazorRuntime()?.pauseCircuit === 'function') {
+            console.log('[BlazorReconnect] Idle — pausing the circuit (Blazor.pauseCircuit)');
+            idleCircuitDown = true;
+            idlePausedCircuit = true;
+            Promise.resolve(Blazor.pauseCircuit()).catch(() => {});
+        } else {
+            console.log('[BlazorReconnect] Idle — a dropped circuit will not be reconnected until the next interaction');
+        }
+
+        emit('idle', { idleMs, circuitDown: idleCircuitDown, circuitPaused: idlePausedCircuit });
+        transition('idle', 'idle');
+        showIdleState();
+    }
+
+    // Swaps whatever modal is up for the idle card. Safe to call repeatedly.
+    function showIdleState() {
+        if (!idleCircuitDown || modalEl('blazor-idle-continue-btn')) return;
+        const swapping = !!reconnectModal;
+        if (reconnectModal) {
+            reconnectModal.remove();
+            reconnectModal = null;
+        }
+        offlineUi = null;
+        reconnectModal = mountModal(getIdleHtml(), config.idleHtml);
+        if (!swapping) activateModal();
+        else if (displayMode !== 'modal') applyDisplayMode();
+        else focusModalDialog();
+        announce(config.idleTitle);
+        modalEl('blazor-idle-continue-btn')?.addEventListener('click', () => leaveIdle('interaction'));
+    }
+
+    // Shared guard for the disconnect / pause / failure paths: while idle they only (re)show
+    // the idle card. Returns true when the caller should stop there.
+    function holdForIdle() {
+        if (!idlePaused) return false;
+        idleCircuitDown = true;
+        showIdleState();
+        return true;
+    }
+
+    function leaveIdle(trigger) {
+        if (!idlePaused) return;
+        const idleMs = Date.now() - idleSince;
+        const circuitDown = idleCircuitDown;
+        const pausedByUs = idlePausedCircuit;
+        idlePaused = false;
+        idleSince = null;
+        idleCircuitDown = false;
+        idlePausedCircuit = false;
+        lastActivityAt = Date.now();
+        console.log(`[BlazorReconnect] Active again after ${Math.round(idleMs / 1000)}s idle (${trigger})`);
+        emit('active', { idleMs, trigger, circuitDown });
+        scheduleIdleCheck();
+
+        if (!circuitDown) {
+            transition('connected', 'active');
+            return;
+        }
+        if (reconnectModal) {
+            reconnectModal.remove();
+            reconnectModal = null;
+            deactivateModal();
+        }
+        lastTrigger = trigger;
+        if (pausedByUs && typeof blazorRuntime()?.resumeCircuit === 'function') {
+            Blazor.resumeCircuit().then(resumed => {
+                if (resumed) {
+                    emit('circuit-resumed', { reason: 'idle' });
+                    hideReconnectModal();
+                } else {
+                    safeReload('idle');
+                }
+            }).catch(() => {
+                // Server unreachable — fall into the normal outage flow
+                showReconnectModal();
+                fireImmediatePing(trigger);
+            });
+            return;
+        }
+        // The circuit dropped while idle: Blazor's retries were stopped, so try once now and
+        // let Phase 2 reload the page if the circuit is gone.
+        showReconnectModal();
+        blazorRuntime()?.reconnect?.().catch(() => {});
+        fireImmediatePing(trigger);
+    }
+
+    function getIdleHtml() {
+        return cardHtml({
+            id: 'blazor-idle',
+            title: config.idleTitle,
+            subtitle: config.idleSubtitle,
+            actions: [cardButtonHtml('blazor-idle-continue-btn', config.idleButtonText)]
+        });
+    }
+
+    function startIdlePolicy() {
+        if (!idlePolicyEnabled()) return;
+        IDLE_ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, onIdleActivity, { capture: true, passive: true }));
+        scheduleIdleCheck();
     }
 
-    // ===== PHASE 2: SERVER PING =====
+    // ===== CROSS-TAB COORDINATION =====
+    //
+    // With crossTabCoordination=true, tabs of the same origin share a BroadcastChannel.
+    // Each Phase 2 tick the polling tab announces itself ('ping-leader'); other tabs that
+    // heard a leader within the last three intervals skip their own /health fetch. If two
+    // tabs claim at once, the lower tab id wins and the other yields on the next message.
+    // The leader broadcasts 'server-back' on success and 'ping-resign' when it stops, so a
+    // follower takes over on its next tick instead of waiting for the leader to time out.
+    // Failed ticks are broadcast as 'ping-failed' so followers holding their modal for
+    // requireFailedPingBeforeModal see the failure they never fetch themselves.
+
+    function initCrossTab() {
+        if (!config.crossTabCoordination) return;
+        if (typeof BroadcastChannel === 'undefined') {
+            console.log('[BlazorReconnect] crossTabCoordination requested but BroadcastChannel is unavailable — each tab pings on its own');
+            return;
+        }
+        try {
+            crossTabChannel = new BroadcastChannel(config.crossTabChannelName);
+        } catch (e) {
+            return;
+        }
+        crossTabChannel.onmessage = (event) => {
+            if (!simulation) handleCrossTabMessage(event.data || {});
+        };
+        window.addEventListener('pagehide', () => resignPingLeadership());
+        console.log(`[BlazorReconnect] Cross-tab coordination enabled (channel '${config.crossTabChannelName}', tab ${TAB_ID})`);
+    }
 
-    function updatePingStatus() {
-        const el = document.getElementById('blazor-ping-status') || document.getElementById('blazor-reconnect-status');
-        if (el) el.textContent = `Checking server availability\u2026 (attempt ${serverPingAttempt})`;
+    function postCrossTabMessage(type, extra = {}) {
+        if (!crossTabChannel || simulation) return;
+        try { crossTabChannel.postMessage({ ...extra, type, tabId: TAB_ID, at: Date.now() }); } catch (e) {}
     }
 
-    function keepPrimaryReconnectModalActive() {
-        stopRetryCountdown();
+    function pingLeaderTimeoutMs() {
+        return config.serverPingIntervalMilliseconds * 3;
+    }
 
-        if (!reconnectModal) {
-            showReconnectModal(/* pingAlreadyStarted= */ true);
+    // Returns true when this tab should run the current Phase 2 fetch.
+    function claimPingLeadership() {
+        if (!crossTabChannel || simulation) return true;
+        const now = Date.now();
+        if (pingLeaderId && pingLeaderId !== TAB_ID && now - pingLeaderSeenAt < pingLeaderTimeoutMs()) {
+            return false;
         }
-
-        const status = document.getElementById('blazor-reconnect-status');
-        if (status) {
-            status.textContent = 'Checking server availability\u2026';
+        if (pingLeaderId !== TAB_ID) {
+            console.log('[BlazorReconnect] Cross-tab: this tab is now the Phase 2 ping leader');
         }
+        pingLeaderId = TAB_ID;
+        pingLeaderSeenAt = now;
+        postCrossTabMessage('ping-leader');
+        return true;
     }
 
-    function showServerBackPrompt() {
-        // autoReloadOnServerBack = false: update the modal to tell the user the server is back
-        const title    = document.getElementById('blazor-ping-title');
-        const subtitle = document.getElementById('blazor-ping-subtitle');
-        const status   = document.getElementById('blazor-ping-status');
-        const btn      = document.getElementById('manual-reload-btn');
-        if (title)    title.textContent = config.serverBackTitle;
-        if (subtitle) subtitle.textContent = config.serverBackManualSubtitle;
-        if (status)   status.textContent = '';
-        if (btn)      btn.textContent = config.serverBackManualButtonText;
+    function resignPingLeadership() {
+        if (pingLeaderId !== TAB_ID) return;
+        pingLeaderId = null;
+        postCrossTabMessage('ping-resign');
     }
 
-    function stopServerPing(circuitRestored = false) {
-        // Abort any in-flight fetch immediately so it cannot trigger a reload
-        // after Blazor has already reconnected the circuit.
-        if (serverPingAbortController) {
-            serverPingAbortController.abort();
-            serverPingAbortController = null;
-        }
-        if (serverPingStartTimer) {
-            clearTimeout(serverPingStartTimer);
-            serverPingStartTimer = null;
-        }
-        if (serverPingTimer) {
-            clearInterval(serverPingTimer);
-            serverPingTimer = null;
-        }
-        serverPingAttempt = 0;
-        if (circuitRestored) {
-            circuitReconnected = true;
-            console.log('[BlazorReconnect] Phase 2 aborted — circuit was restored by Blazor');
+    function handleCrossTabMessage(msg) {
+        if (!msg.tabId || msg.tabId === TAB_ID) return;
+
+        if (msg.type === 'ping-leader') {
+            // Tie-break simultaneous claims: the lower tab id keeps the leadership.
+            if (pingLeaderId === TAB_ID && msg.tabId > TAB_ID) return;
+            pingLeaderId = msg.tabId;
+            pingLeaderSeenAt = Date.now();
+        } else if (msg.type === 'ping-resign') {
+            if (pingLeaderId === msg.tabId) pingLeaderId = null;
+        } else if (msg.type === 'ping-failed') {
+            if (!isDisconnectCycleActive() || circuitUp()) return;
+            notePingFailure(`Cross-tab: ping failure reported by another tab (${msg.status ?? 'network error'})`);
+        } else if (msg.type === 'server-back') {
+            pingLeaderId = null;
+            // Only tabs that are themselves in a disconnect cycle act on the news.
+            const disconnectDetected = !!reconnectModal || !!showDelayTimer || !!serverPingTimer || !!serverPingStartTimer;
+            if (!disconnectDetected || circuitUp()) return;
+            console.log('[BlazorReconnect] Cross-tab: server back (reported by another tab)');
+            handleServerBack(/* fromOtherTab= */ true, null, msg.reloadSpreadMs ?? null);
         }
     }
 
-    function startServerPing(delayMs) {
-        if (!config.serverPingEnabled) {
-            console.log('[BlazorReconnect] Phase 2 disabled (serverPingEnabled=false)');
-            return;
-        }
-        stopServerPing();
-        circuitReconnected = false;
-        serverPingAttempt = 0;
+    // ===== TAB INDICATOR (opt-in: tabIndicator) =====
+    //
+    // States: 'reconnecting' (primary modal), 'waiting' (Phase 1 exhausted, server down) and
+    // 'server-back' (reload pending, prompt shown, or a hidden tab deferring its reload).
+    // The app's own title is remembered when the first state is set. A <head> observer keeps it
+    // current: <PageTitle> / HeadOutlet may rewrite document.title during the outage, and
+    // that becomes the new base, decorated again. The favicon badge is drawn on a canvas over
+    // the page's icon. A cross-origin icon without CORS taints the canvas, so the badge is then
+    // drawn alone.
+
+    const TAB_INDICATOR_COLORS = { reconnecting: '#F59E0B', waiting: '#e53e3e', 'server-back': '#22c55e' };
+
+    let tabState = null;
+    let baseTitle = '';
+    let decoratedTitle = null;
+    let titleObserver = null;
+    let originalIcons = null;          // Map<HTMLLinkElement, href attribute | null>
+    let addedIconLink = null;          // created when the page declares no icon
+    let baseIcon = null;               // Promise<HTMLImageElement | null>
+
+    function tabTitleText(state) {
+        return {
+            reconnecting: config.tabTitleReconnectingText,
+            waiting: config.tabTitleWaitingText,
+            'server-back': config.tabTitleServerBackText
+        }[state];
+    }
 
-        const delay = delayMs ?? 0;
+    function decorateTitle() {
+        decoratedTitle = baseTitle ? `(${tabTitleText(tabState)}) ${baseTitle}` : `(${tabTitleText(tabState)})`;
+        document.title = decoratedTitle;
+    }
 
-        const begin = () => {
-            serverPingStartTimer = null;
-            console.log(`[BlazorReconnect] Phase 2 started — polling ${config.serverPingUrl} every ${config.serverPingIntervalMilliseconds}ms indefinitely`);
+    function watchTitle() {
+        if (titleObserver || !document.head) return;
+        titleObserver = new MutationObserver(() => {
+            if (tabState === null || document.title === decoratedTitle) return;
+            baseTitle = document.title;
+            decorateTitle();
+        });
+        titleObserver.observe(document.head, { childList: true, subtree: true, characterData: true });
+    }
 
-            serverPingTimer = setInterval(async () => {
-                // Belt-and-suspenders: if circuit was restored since last tick, stop
-                if (circuitReconnected) { stopServerPing(); return; }
+    function getIconLinks() {
+        return Array.from(document.querySelectorAll('link[rel~="icon"]'));
+    }
 
-                serverPingAttempt++;
-                updatePingStatus();
+    function loadBaseIcon() {
+        if (baseIcon) return baseIcon;
+        const href = getIconLinks().pop()?.href || new URL('/favicon.ico', location.origin).href;
+        baseIcon = new Promise(resolve => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';   // a CORS-enabled CDN icon keeps the canvas readable
+            img.onload = () => resolve(img);
+            img.onerror = () => resolve(null);
+            img.src = href;
+        });
+        return baseIcon;
+    }
 
-                // Fresh AbortController per tick so stopServerPing() can cancel it
-                serverPingAbortController = new AbortController();
-                try {
-                    const resp = await fetch(config.serverPingUrl, {
-                        cache: 'no-store',
-                        signal: serverPingAbortController.signal
-                    });
-                    serverPingAbortController = null;
+    function renderFavicon(img, color) {
+        const size = 32;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
+        if (img) ctx.drawImage(img, 0, 0, size, size);
+        const r = img ? 8 : 12;
+        ctx.beginPath();
+        ctx.arc(size - r - 1, size - r - 1, r, 0, 2 * Math.PI);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#fff';
+        ctx.stroke();
+        return canvas.toDataURL('image/png');
+    }
 
-                    // Double-check: did Blazor reconnect the circuit while we were waiting?
-                    if (circuitReconnected) {
-                        console.log('[BlazorReconnect] Phase 2 ping resolved but circuit was already restored — skipping reload');
-                        return;
-                    }
+    async function badgeFavicon(state) {
+        const img = await loadBaseIcon();
+        if (tabState !== state) return;   // state changed while the icon loaded
+        let url = null;
+        try {
+            url = renderFavicon(img, TAB_INDICATOR_COLORS[state]);
+        } catch (e) {
+            try { url = renderFavicon(null, TAB_INDICATOR_COLORS[state]); } catch (e2) { /* no canvas */ }
+        }
+        if (!url) return;
+        if (!originalIcons) {
+            originalIcons = new Map(getIconLinks().map(link => [link, link.getAttribute('href')]));
+            if (originalIcons.size === 0) {
+                addedIconLink = document.createElement('link');
+                addedIconLink.rel = 'icon';
+                document.head.appendChild(addedIconLink);
+            }
+        }
+        originalIcons.forEach((_, link) => { link.href = url; });
+        if (addedIconLink) addedIconLink.href = url;
+    }
 
-                    if (resp.ok) {
-                        stopServerPing();
-                        console.log(`[BlazorReconnect] Phase 2: server responded (${resp.status}) after ${serverPingAttempt} attempt(s)`);
-                        if (config.autoReloadOnServerBack) {
-                            console.log('[BlazorReconnect] Auto-reloading page');
-                            fireCallback('onServerBack');
-                            safeReload();
-                        } else {
-                            console.log('[BlazorReconnect] Showing "server is back" prompt (autoReloadOnServerBack=false)');
-                            showServerBackPrompt();
-                        }
-                    } else {
-                        // Non-2xx response (e.g. 503 during deploy) — mark first failure and
-                        // show modal immediately if grace already expired and was waiting.
-                        if (!pingHasFailed) {
-                            pingHasFailed = true;
-                            console.log(`[BlazorReconnect] Phase 2: first ping failure (${resp.status})`);
-                            if (graceExpiredAwaitingPingFailure && !reconnectModal) {
-                                graceExpiredAwaitingPingFailure = false;
-                                showReconnectModal(/* pingAlreadyStarted= */ true);
-                            }
-                        }
-                        // Keep polling — server may still be starting up
-                    }
-                } catch (err) {
-                    serverPingAbortController = null;
-                    if (err.name === 'AbortError') {
-                        // Cancelled by stopServerPing() — circuit reconnected, do nothing
-                        return;
-                    }
-                    // Network-level failure — mark first failure and show modal if waiting.
-                    if (!pingHasFailed) {
-                        pingHasFailed = true;
-                        console.log('[BlazorReconnect] Phase 2: first ping failure (network error)');
-                        if (graceExpiredAwaitingPingFailure && !reconnectModal) {
-                            graceExpiredAwaitingPingFailure = false;
-                            showReconnectModal(/* pingAlreadyStarted= */ true);
-                        }
-                    }
-                    // Server still unreachable — keep polling silently
-                }
-            }, config.serverPingIntervalMilliseconds);
-        };
+    function restoreFavicon() {
+        originalIcons?.forEach((href, link) => {
+            if (href === null) link.removeAttribute('href');
+            else link.setAttribute('href', href);
+        });
+        originalIcons = null;
+        addedIconLink?.remove();
+        addedIconLink = null;
+    }
 
-        if (delay > 0) {
-            console.log(`[BlazorReconnect] Phase 2 scheduled to start in ${delay}ms`);
-            serverPingStartTimer = setTimeout(begin, delay);
-        } else {
-            begin();
-        }
+    function setTabIndicator(state) {
+        if (!config.tabIndicator || simulation || state === tabState) return;
+        if (tabState === null) baseTitle = document.title;
+        tabState = state;
+        decorateTitle();
+        watchTitle();
+        badgeFavicon(state);
     }
 
-    // ===== IMMEDIATE PING (triggered by visibility restore) =====
+    function clearTabIndicator() {
+        if (tabState === null) return;
+        tabState = null;
+        titleObserver?.disconnect();
+        titleObserver = null;
+        document.title = baseTitle;
+        decoratedTitle = null;
+        restoreFavicon();
+    }
+
+    // ===== DESKTOP NOTIFICATIONS (opt-in: desktopNotifications) =====
     //
-    // Fires a single one-shot health check RIGHT NOW, bypassing the Phase 2 start
-    // delay and the current interval position. Used by the visibilitychange handler
-    // so discovery time collapses to one network RTT when the user returns to the tab.
-    async function fireImmediatePing() {
-        if (!config.serverPingEnabled) return;
-        if (circuitReconnected) return;
+    // Permission is only ever requested from a click — the modal's notify link or the app
+    // calling BlazorReconnect.requestNotificationPermission() from its own button. Browsers
+    // ignore (or permanently block) prompts without a user gesture. Notifications share
+    // a tag, so several tabs of the app collapse into one. A hidden tab that notified defers its
+    // reload (see handleServerBack), so the click reloads a page someone is looking at. With
+    // autoReloadOnServerBack off there is nothing to defer, and the tab shows its prompt instead.
+    // Android Chrome only supports notifications from a service worker; there the
+    // constructor throws and the tab simply reloads as before.
 
-        console.log('[BlazorReconnect] Immediate health check (visibility restore)');
+    const NOTIFICATION_TAG = 'blazor-reconnect-server-back';
 
-        // Cancel any pending start-delay — Phase 2 is starting right now
-        if (serverPingStartTimer) {
-            clearTimeout(serverPingStartTimer);
-            serverPingStartTimer = null;
-        }
+    let serverBackNotification = null;
 
-        // Abort any in-flight fetch from the regular interval so we don't double-reload
-        if (serverPingAbortController) {
-            serverPingAbortController.abort();
-            serverPingAbortController = null;
-        }
+    function notificationsEnabled() {
+        return !!config.desktopNotifications && 'Notification' in window;
+    }
 
-        const ctrl = new AbortController();
-        serverPingAbortController = ctrl;
-        try {
-            const resp = await fetch(config.serverPingUrl, {
-                cache: 'no-store',
-                signal: ctrl.signal
-            });
-            serverPingAbortController = null;
+    async function requestNotificationPermission() {
+        if (!('Notification' in window)) return 'unsupported';
+        if (Notification.permission !== 'default') return Notification.permission;
+        const permission = await Notification.requestPermission();
+        console.log(`[BlazorReconnect] Notification permission: ${permission}`);
+        return permission;
+    }
 
-            if (circuitReconnected) {
-                console.log('[BlazorReconnect] Immediate ping resolved but circuit already restored — skipping reload');
-                return;
-            }
+    // Called after the reconnecting / failed modals mount. Styled through the CSSOM so it
+    // also works in CSP mode.
+    function addNotifyButton() {
+        if (!notificationsEnabled() || Notification.permission !== 'default' || modalEl('blazor-notify-btn')) return;
+        const dialog = reconnectModal?.shadowRoot?.querySelector('[role=alertdialog]') ||
+            reconnectModal?.querySelector('[role=alertdialog]');
+        if (!dialog) return;
+        const btn = document.createElement('button');
+        btn.id = 'blazor-notify-btn';
+        btn.type = 'button';
+        btn.setAttribute('part', 'notify-button');
+        btn.textContent = config.notifyButtonText;
+        Object.assign(btn.style, {
+            display: 'block', margin: '0.75rem auto 0', padding: '0', background: 'none', border: 'none',
+            color: 'var(--_brc-primary)', textDecoration: 'underline', cursor: 'pointer', fontSize: '0.85rem'
+        });
+        btn.addEventListener('click', async () => {
+            const permission = await requestNotificationPermission();
+            if (permission !== 'default') btn.remove();
+        });
+        const version = dialog.querySelector("[part='version']");
+        dialog.insertBefore(btn, version?.parentNode === dialog ? version : null);
+    }
 
-            if (resp.ok) {
-                stopServerPing();
-                console.log(`[BlazorReconnect] Immediate ping OK (${resp.status}) — server is reachable`);
-                if (config.autoReloadOnServerBack) {
-                    console.log('[BlazorReconnect] Auto-reloading page');
-                    fireCallback('onServerBack');
-                    safeReload();
-                } else {
-                    showServerBackPrompt();
-                }
-            } else {
-                // Server reachable but non-2xx (e.g. degraded health) — mark failure, continue polling.
-                if (!pingHasFailed) {
-                    pingHasFailed = true;
-                    console.log(`[BlazorReconnect] Immediate ping non-OK (${resp.status}) — marking first ping failure`);
-                    if (graceExpiredAwaitingPingFailure && !reconnectModal) {
-                        graceExpiredAwaitingPingFailure = false;
-                        showReconnectModal(/* pingAlreadyStarted= */ true);
-                    }
-                } else {
-                    console.log(`[BlazorReconnect] Immediate ping non-OK (${resp.status}) — continuing polling`);
-                }
-                // Restart regular interval if it was cleared above
-                if (!serverPingTimer) startServerPing(0);
-            }
-        } catch (err) {
-            serverPingAbortController = null;
-            if (err.name === 'AbortError') return; // cancelled by stopServerPing() — circuit restored
-            // Network-level failure — mark first failure and show modal if waiting.
-            if (!pingHasFailed) {
-                pingHasFailed = true;
-                console.log('[BlazorReconnect] Immediate ping failed (network error) — marking first ping failure');
-                if (graceExpiredAwaitingPingFailure && !reconnectModal) {
-                    graceExpiredAwaitingPingFailure = false;
-                    showReconnectModal(/* pingAlreadyStarted= */ true);
-                }
-            }
-            // Server unreachable — ensure regular polling is running
-            console.log('[BlazorReconnect] Immediate ping failed (server unreachable) — continuing polling');
-            if (!serverPingTimer) startServerPing(0);
+    // Returns true when a notification is now showing.
+    function notifyServerBack() {
+        if (!notificationsEnabled() || Notification.permission !== 'granted' || simulation) return false;
+        try {
+            serverBackNotification?.close();
+            const notification = new Notification(config.notificationTitle, {
+                body: config.notificationBody,
+                tag: NOTIFICATION_TAG,
+                icon: config.logoUrl || undefined
+            });
+            notification.onclick = () => {
+                window.focus();
+                closeServerBackNotification();
+                // The visibilitychange that focus() causes may come first, and the circuit may
+                // have come back meanwhile — either way there is nothing left to reload.
+                runDeferredReload('notification');
+            };
+            serverBackNotification = notification;
+            console.log('[BlazorReconnect] Server back while hidden — desktop notification shown');
+            return true;
+        } catch (e) {
+            return false;
         }
     }
 
+    function closeServerBackNotification() {
+        serverBackNotification?.close();
+        serverBackNotification = null;
+    }
+
     // ===== RETRY COUNTDOWN =====
 
     function updateRetryStatus() {
-        const el = document.getElementById('blazor-reconnect-status');
-        if (!el) return;
-        const countdown = retryCountdownSecs > 0 ? `Retrying in ${retryCountdownSecs}s\u2026` : 'Retrying\u2026';
-        el.textContent = countdown;
+        const el = modalEl('blazor-reconnect-status');
+        if (!el || networkOffline) return;   // keeps offlineStatusText
+        el.textContent = withConnectionNote(retryCountdownSecs > 0
+            ? formatText(config.retryCountdownText, retryCountdownSecs)
+            : config.retryingText);
     }
 
     function getRetryIntervalMs(attempt) {
@@ -632,7 +4016,7 @@
         retryCountdownSecs = firstMs < 500 ? 0 : Math.round(firstMs / 1000);
         updateRetryStatus();
 
-        retryTimer = setInterval(() => {
+        retryTimer = cycleClock.setInterval(() => {
             retryCountdownSecs--;
             if (retryCountdownSecs <= 0) {
                 retryAttempt++;
@@ -640,7 +4024,7 @@
                     stopRetryCountdown();
                     if (config.keepReconnectingUiOnFailure) {
                         console.log('[BlazorReconnect] Own maxRetries reached — keeping primary reconnect UI active');
-                        fireCallback('onFailed');
+                        fireCallback('onFailed', emit('failed'));
                         keepPrimaryReconnectModalActive();
                         if (!serverPingTimer && !serverPingStartTimer) {
                             startServerPing(0);
@@ -663,7 +4047,7 @@
 
     function stopRetryCountdown() {
         if (retryTimer) {
-            clearInterval(retryTimer);
+            cycleClock.clearInterval(retryTimer);
             retryTimer = null;
         }
         retryAttempt = 0;
@@ -674,24 +4058,41 @@
 
     function cancelShowDelay() {
         if (showDelayTimer) {
-            clearTimeout(showDelayTimer);
+            cycleClock.clearTimeout(showDelayTimer);
             showDelayTimer = null;
         }
     }
 
     // Called when Blazor fires show() — may be delayed by grace period.
-    function scheduleShowReconnectModal() {
+    // source: 'blazor' (reconnection display hook) | 'poll' (DOM fallback) | 'manual' (testing API)
+    //         | 'simulate' (BlazorReconnect.simulate)
+    function scheduleShowReconnectModal(source = 'manual') {
         // Save scroll position as the VERY FIRST action when the circuit drops.
         // Only saves on the first call per disconnect (guard below prevents double-saving).
         if (!reconnectModal && !showDelayTimer) {
             saveScrollPosition();
+            saveFormState();
         }
 
-        if (reconnectModal || showDelayTimer) return; // already showing or scheduled
+        if (reconnectModal || showDelayTimer || pendingReloadTimer) return; // already showing, scheduled or reloading
+
+        // A repeated show() while the modal is held or a server-back reload waits for the
+        // tab belongs to the cycle that is already running.
+        if (!idlePaused && !mayTransition('grace', 'disconnect')) return;
 
-        // Reset ping-failure tracking for this disconnect cycle.
-        pingHasFailed = false;
-        graceExpiredAwaitingPingFailure = false;
+        // Start a new event-stream cycle. A trigger only carries over when the disconnect
+        // was discovered right after the tab woke up (visibility / resume).
+        const woken = wokenRecently();
+        disconnectedAt = cycleClock.now();
+        modalShownAt = null;
+        outagePingAttempts = 0;
+        outagePingFailures = 0;
+        lastTrigger = woken ? wake.trigger : null;
+        const policy = applyRoutePolicy();
+        emit('disconnect', { source, wokenFromVisibility: woken, policy });
+
+        // Nobody is looking — don't start Phase 2, wait for the next interaction instead.
+        if (holdForIdle()) return;
 
         const delay = config.showDelayMilliseconds || 0;
         if (delay <= 0) {
@@ -700,23 +4101,25 @@
         }
 
         console.log(`[BlazorReconnect] Circuit dropped — waiting ${delay}ms grace period before showing UI`);
+        transition('grace', 'disconnect');
         // Phase 2 ping starts immediately (serverPingStartDelayMilliseconds=0).
-        // If wokenFromVisibility=true we always bypass any configured delay and start immediately,
+        // Right after a wake we always bypass any configured delay and start immediately,
         // collapsing discovery time to one network RTT after screen-wake.
         // A 2xx /health response during the grace period triggers window.location.reload()
         // before the modal is ever shown — completely silent recovery.
-        circuitReconnected = false;
-        const pingDelay = wokenFromVisibility ? 0 : config.serverPingStartDelayMilliseconds;
+        const pingDelay = woken ? 0 : config.serverPingStartDelayMilliseconds;
         startServerPing(pingDelay);
 
-        showDelayTimer = setTimeout(() => {
+        showDelayTimer = cycleClock.setTimeout(() => {
             showDelayTimer = null;
             if (!reconnectModal) {
-                if (config.requireFailedPingBeforeModal && !pingHasFailed) {
+                const hold = !!config.requireFailedPingBeforeModal && outagePingFailures === 0;
+                emit('grace-expired', { modalHeld: hold });
+                if (hold) {
                     // Grace period elapsed but no ping failure confirmed yet.
                     // Hold the modal — the ping interval will call showReconnectModal()
                     // the moment a non-2xx or network error is observed.
-                    graceExpiredAwaitingPingFailure = true;
+                    transition('held', 'grace-expired');
                     console.log('[BlazorReconnect] Grace period elapsed — modal held pending first ping failure (requireFailedPingBeforeModal=true)');
                 } else {
                     showReconnectModal(/* pingAlreadyStarted= */ true);
@@ -726,38 +4129,29 @@
     }
 
     function showReconnectModal(pingAlreadyStarted = false) {
-        if (reconnectModal) return;
+        if (reconnectModal || !transition('reconnecting', 'modal-shown')) return;
 
         console.log('[BlazorReconnect] Showing reconnect UI');
-        fireCallback('onReconnecting');
-
-        reconnectModal = document.createElement('div');
-        reconnectModal.id = 'blazor-reconnect-modal';
-        reconnectModal.innerHTML = getReconnectingHtml();
-
-        // Inject inline CSS overrides
-        if (config.customCss) {
-            const style = document.createElement('style');
-            style.textContent = config.customCss;
-            reconnectModal.appendChild(style);
-        }
-
-        // Load external CSS file (branding stylesheet)
-        if (config.customCssUrl && !document.getElementById('blazor-reconnect-css')) {
-            const link = document.createElement('link');
-            link.id = 'blazor-reconnect-css';
-            link.rel = 'stylesheet';
-            link.href = config.customCssUrl;
-            document.head.appendChild(link);
+        if (disconnectedAt === null) {   // showModalNow() skips scheduling
+            disconnectedAt = cycleClock.now();
+            applyRoutePolicy();
         }
-
-        document.body.appendChild(reconnectModal);
-
-        // Move focus to the dialog so screen readers announce the connection loss.
-        reconnectModal.querySelector('[role=alertdialog]')?.focus();
-
-        document.getElementById('manual-reload-btn')?.addEventListener('click', () => {
-            safeReload();
+        modalShownAt = cycleClock.now();
+        fireCallback('onReconnecting', emit('modal-shown', { variant: 'reconnecting' }));
+
+        // customCss / customCssUrl are applied inside mountModal()
+        reconnectModal = mountModal(getReconnectingHtml(), config.reconnectingHtml);
+        setTabIndicator('reconnecting');
+        addNotifyButton();
+
+        // Inert the page and move focus to the dialog so screen readers announce the connection loss.
+        activateModal();
+        announce(config.title);
+        offlineUi = null;
+        showOfflineState();
+
+        modalEl('manual-reload-btn')?.addEventListener('click', () => {
+            safeReload('manual');
         });
 
         startRetryCountdown();
@@ -766,49 +4160,88 @@
         // If we arrived here from scheduleShowReconnectModal(), Phase 2 is already running
         // (pingAlreadyStarted=true). Otherwise start it now.
         if (!pingAlreadyStarted) {
-            circuitReconnected = false;
             startServerPing(config.serverPingStartDelayMilliseconds);
         }
     }
 
     function hideReconnectModal() {
+        const modalWasHeld = modalHeld();
+        // Nothing to restore once the page is reloading.
+        if (!transition(idlePaused ? 'idle' : 'connected', 'circuit-restored')) return;
+
         // Circuit restored without a reload — clear the saved scroll key so it
         // doesn't accidentally restore on the next unrelated page load.
         clearScrollPosition();
+        clearFormState();
+        clearTabIndicator();
 
-        // Circuit restored — clear the visibility flag so the next disconnect
+        // Circuit restored — forget the wake so the next disconnect
         // (if not visibility-triggered) uses the normal Phase 2 start delay.
-        wokenFromVisibility = false;
+        wake = null;
+
+        // Circuit is back on its own — a deferred cross-tab or jittered reload is no longer needed.
+        // An idle tab stays idle, but there is no longer a circuit to bring back.
+        reloadWhenVisible = false;
+        deferredServerBack = null;
+        closeServerBackNotification();
+        idleCircuitDown = false;
+        idlePausedCircuit = false;
+        sessionExpired = false;
+        networkOffline = false;
+        offlineSince = null;
+        offlineUi = null;
+        const reloadWasPending = cancelPendingReload();
 
         // Reset ping-failure tracking — fresh slate for next disconnect cycle.
-        pingHasFailed = false;
-        graceExpiredAwaitingPingFailure = false;
+        outagePingFailures = 0;
+        stateBeforeOffline = null;
 
         // Cancel grace period if hide() fires before the timer expires
-        // (circuit reconnected within the silent window — user sees nothing)
-        if (showDelayTimer) {
+        // (circuit reconnected within the silent window — user sees nothing).
+        // Same when the grace period expired but the modal was still held back by
+        // requireFailedPingBeforeModal — Phase 2 must stop so it cannot reload later.
+        if (showDelayTimer || modalWasHeld || (reloadWasPending && !reconnectModal)) {
             console.log('[BlazorReconnect] ✅ Circuit restored within grace period — no modal was shown');
             cancelShowDelay();
             stopServerPing(true);
-            fireCallback('onReconnected');
+            fireCallback('onReconnected', emitCircuitRestored());
             return;
         }
         if (reconnectModal) {
             console.log('[BlazorReconnect] Connection restored, hiding modal');
             stopRetryCountdown();
-            // Pass circuitRestored=true: sets circuitReconnected=true AND aborts any in-flight
-            // Phase 2 fetch so it cannot trigger a reload after the circuit is back.
+            // Pass circuitRestored=true: aborts any in-flight Phase 2 fetch so it cannot
+            // trigger a reload after the circuit is back.
             stopServerPing(true);
             reconnectModal.remove();
             reconnectModal = null;
-            fireCallback('onReconnected');
+            diagnosticShown = false;
+            deactivateModal();
+            announce(config.restoredText);
+            fireCallback('onReconnected', emitCircuitRestored());
+        } else if (disconnectedAt !== null) {
+            // Silent cycle that ended in Blazor.resumeCircuit() after the grace timer was
+            // already cancelled (jittered server-back) — still close the event-stream cycle.
+            stopServerPing(true);
+            fireCallback('onReconnected', emitCircuitRestored());
         }
     }
 
+    // Emits 'circuit-restored' and closes the event-stream cycle.
+    function emitCircuitRestored() {
+        const detail = emit('circuit-restored', { silent: modalShownAt === null });
+        disconnectedAt = null;
+        modalShownAt = null;
+        lastTrigger = null;
+        restoreBasePolicy();
+        return detail;
+    }
+
     function showFailedModal() {
+        if (!mayTransition('waiting', 'failed')) return;
         if (config.keepReconnectingUiOnFailure) {
             console.log('[BlazorReconnect] Phase 1 exhausted — keeping primary reconnect UI active');
-            fireCallback('onFailed');
+            fireCallback('onFailed', emit('failed'));
             keepPrimaryReconnectModalActive();
             if (!serverPingTimer && !serverPingStartTimer) {
                 startServerPing(0);
@@ -819,23 +4252,34 @@
         const phase2Active = config.serverPingEnabled;
         console.log(`[BlazorReconnect] Phase 1 exhausted — switching to ${phase2Active ? 'Phase 2 (server ping)' : 'static failed'} UI`);
         stopRetryCountdown();
-        fireCallback('onFailed');
+        fireCallback('onFailed', emit('failed'));
         // Replace reconnecting modal (if present) with the Phase 2 / failed state
         if (reconnectModal) {
             reconnectModal.remove();
             reconnectModal = null;
         }
 
-        reconnectModal = document.createElement('div');
-        reconnectModal.id = 'blazor-reconnect-modal';
-        reconnectModal.innerHTML = getFailedHtml();
-        document.body.appendChild(reconnectModal);
-
-        // Move focus to the dialog for screen reader accessibility.
-        reconnectModal.querySelector('[role=alertdialog]')?.focus();
-
-        document.getElementById('manual-reload-btn')?.addEventListener('click', () => {
-            safeReload();
+        if (disconnectedAt === null) {
+            disconnectedAt = cycleClock.now();
+            applyRoutePolicy();
+        }
+        if (modalShownAt === null) {
+            modalShownAt = cycleClock.now();
+            emit('modal-shown', { variant: 'failed' });
+        }
+        reconnectModal = mountModal(getFailedHtml(), config.failedHtml);
+        transition('waiting', 'failed');
+        setTabIndicator('waiting');
+        addNotifyButton();
+
+        // Inert the page and move focus to the dialog for screen reader accessibility.
+        activateModal();
+        announce(config.failedTitle);
+        offlineUi = null;
+        showOfflineState();
+
+        modalEl('manual-reload-btn')?.addEventListener('click', () => {
+            safeReload('manual');
         });
 
         // If Phase 2 is already running (started in parallel during Phase 1), keep it going.
@@ -858,12 +4302,11 @@
     let hooked = false;
 
     function ensureDefaultModalSuppressed() {
-        if (document.getElementById('blazor-reconnect-default-modal-suppression')) return;
-
-        const style = document.createElement('style');
-        style.id = 'blazor-reconnect-default-modal-suppression';
-        style.textContent = '#components-reconnect-modal { display: none !important; }';
-        document.head.appendChild(style);
+        if (cspMode) {
+            ensureCspStylesheet();
+            return;
+        }
+        appendHeadStyle('blazor-reconnect-default-modal-suppression', '#components-reconnect-modal { display: none !important; }');
     }
 
     function suppressDefaultModal() {
@@ -890,18 +4333,28 @@
             // Support both flat ms number and backoff array.
             // When an array is used, keep returning the last interval indefinitely so
             // Blazor continues retrying instead of stopping when the array is exhausted.
-            Blazor.defaultReconnectionHandler.reconnectionOptions.retryIntervalMilliseconds =
-                Array.isArray(config.retryIntervalMilliseconds)
-                    ? (previousAttempts) => config.retryIntervalMilliseconds[Math.min(previousAttempts, config.retryIntervalMilliseconds.length - 1)]
-                    : config.retryIntervalMilliseconds;
+            const retryInterval = Array.isArray(config.retryIntervalMilliseconds)
+                ? (previousAttempts) => config.retryIntervalMilliseconds[Math.min(previousAttempts, config.retryIntervalMilliseconds.length - 1)]
+                : config.retryIntervalMilliseconds;
+            // Idle policy: returning null ends Blazor's retry loop (.NET 8+) until leaveIdle()
+            Blazor.defaultReconnectionHandler.reconnectionOptions.retryIntervalMilliseconds = config.idleTimeoutMilliseconds > 0
+                ? (previousAttempts) => idlePaused ? null : (typeof retryInterval === 'function' ? retryInterval(previousAttempts) : retryInterval)
+                : retryInterval;
         }
 
         Blazor.defaultReconnectionHandler._reconnectionDisplay = {
             _isOurHook: true,
-            show() {
-                console.log('[BlazorReconnect] ↓ disconnected (Blazor hook)');
+            show(options) {
+                interruptSimulation('blazor');
                 suppressDefaultModal();
-                scheduleShowReconnectModal();
+                // .NET 10 passes { type: 'pause' } when the circuit was paused rather than lost
+                if (options?.type === 'pause') {
+                    console.log('[BlazorReconnect] ⏸ circuit paused (Blazor hook)');
+                    showPausedModal();
+                    return;
+                }
+                console.log('[BlazorReconnect] ↓ disconnected (Blazor hook)');
+                scheduleShowReconnectModal('blazor');
             },
             update() {
                 // .NET 10 may call update(...) on the reconnect display between show/hide ticks.
@@ -909,28 +4362,22 @@
                 suppressDefaultModal();
             },
             hide() {
+                interruptSimulation('blazor');
                 console.log('[BlazorReconnect] ↑ reconnected (Blazor hook)');
                 restoreDefaultModal();
                 hideReconnectModal();
             },
             failed() {
-                if (config.keepReconnectingUiOnFailure) {
-                    console.log('[BlazorReconnect] ✗ circuit failed (Blazor hook) — keeping primary reconnect UI active');
-                    suppressDefaultModal();
-                    fireCallback('onFailed');
-                    keepPrimaryReconnectModalActive();
-                    if (!serverPingTimer && !serverPingStartTimer) {
-                        startServerPing(0);
-                    }
-                    return;
-                }
-
-                // All retries exhausted — show a static "failed" UI.
-                // Do NOT auto-reload: that creates an infinite reload loop if the
-                // server is still down. The user clicks "Reload page" when ready.
-                console.log('[BlazorReconnect] ✗ circuit failed (Blazor hook) — showing failed UI');
+                interruptSimulation('blazor');
+                handleCircuitFailed('Blazor hook');
+            },
+            rejected() {
+                // Server reachable but the circuit is gone — resume from persisted state or reload.
+                interruptSimulation('blazor');
+                console.log('[BlazorReconnect] ✗ circuit rejected (Blazor hook)');
                 suppressDefaultModal();
-                showFailedModal();
+                stopServerPing();
+                resumeOrReload('circuit-rejected');
             }
         };
 
@@ -938,6 +4385,29 @@
         return true;
     }
 
+    // Phase 1 exhausted, as reported by the hook's failed() (or a simulated 'failed' step).
+    function handleCircuitFailed(source) {
+        // Idle: the retry loop was ended on purpose (retryIntervalMilliseconds → null)
+        if (holdForIdle() || !mayTransition('waiting', 'failed')) return;
+        if (config.keepReconnectingUiOnFailure) {
+            console.log(`[BlazorReconnect] ✗ circuit failed (${source}) — keeping primary reconnect UI active`);
+            suppressDefaultModal();
+            fireCallback('onFailed', emit('failed'));
+            keepPrimaryReconnectModalActive();
+            if (!serverPingTimer && !serverPingStartTimer) {
+                startServerPing(0);
+            }
+            return;
+        }
+
+        // All retries exhausted — show a static "failed" UI.
+        // Do NOT auto-reload: that creates an infinite reload loop if the
+        // server is still down. The user clicks "Reload page" when ready.
+        console.log(`[BlazorReconnect] ✗ circuit failed (${source}) — showing failed UI`);
+        suppressDefaultModal();
+        showFailedModal();
+    }
+
     // ===== FALLBACK: DOM class polling =====
     //
     // Polls Blazor's #components-reconnect-modal class every 250ms.
@@ -945,20 +4415,24 @@
     //
     // "Disconnected" = element exists AND has class components-reconnect-show
     // "Failed"       = element exists AND has class components-reconnect-failed
+    // "Paused"       = element exists AND has class components-reconnect-paused (.NET 10)
     // "Connected"    = element absent OR has class components-reconnect-hide
 
-    let lastPollState = 'connected'; // 'connected' | 'disconnected' | 'failed'
+    let lastPollState = 'connected'; // 'connected' | 'disconnected' | 'failed' | 'paused'
 
     function getCircuitState() {
         const el = document.getElementById('components-reconnect-modal');
         if (!el) return 'connected';
         if (el.classList.contains('components-reconnect-failed')) return 'failed';
+        if (el.classList.contains('components-reconnect-paused') ||
+            el.classList.contains('components-reconnect-resume-failed')) return 'paused';
         if (el.classList.contains('components-reconnect-show'))   return 'disconnected';
         return 'connected'; // components-reconnect-hide or no class = connected
     }
 
     function pollReconnectState() {
-        if (isInitialLoad) return;
+        // A simulated outage has no #components-reconnect-modal — don't let the real DOM end it
+        if (isInitialLoad() || simulation) return;
 
         // Always poll as a safety net — even when the primary hook is active.
         // Blazor may re-initialize defaultReconnectionHandler after a full server restart,
@@ -974,10 +4448,15 @@
 
         if (state === 'disconnected' && !reconnectModal && !showDelayTimer) {
             suppressDefaultModal();
-            scheduleShowReconnectModal();
+            scheduleShowReconnectModal('poll');
+
+        } else if (state === 'paused') {
+            suppressDefaultModal();
+            showPausedModal();
 
         } else if (state === 'failed') {
             suppressDefaultModal();
+            if (holdForIdle()) return;
             if (config.keepReconnectingUiOnFailure) {
                 keepPrimaryReconnectModalActive();
                 if (!serverPingTimer && !serverPingStartTimer) {
@@ -1039,12 +4518,12 @@
         if (suppressPatterns.some(p => message.includes(p))) {
             return;
         }
-        
+
         // Detect version deployment - component operations invalid
         // This happens when a new version is deployed while user is connected
         if (message.includes('The list of component operations is not valid')) {
             console.log('[BlazorReconnect] Version deployment detected (invalid component operations), reloading...');
-            setTimeout(() => safeReload(), 2000);
+            scheduleErrorReload('invalid-component-operations', message);
             return;
         }
         
@@ -1052,7 +4531,7 @@
         if (message.includes('circuit state could not be retrieved') ||
             (message.includes('circuit') && message.includes('expired'))) {
             console.log('[BlazorReconnect] Circuit expired, reloading...');
-            setTimeout(() => safeReload(), 2000);
+            scheduleErrorReload('circuit-expired', message);
             return;
         }
         
@@ -1062,7 +4541,7 @@
     // ===== CIRCUIT ERROR HANDLER =====
     
     window.addEventListener('unhandledrejection', (event) => {
-        if (isInitialLoad) return;
+        if (isInitialLoad()) return;
 
         const error = event.reason?.toString() || '';
         
@@ -1070,7 +4549,7 @@
         if (error.includes('The list of component operations is not valid')) {
             console.log('[BlazorReconnect] Version deployment detected, reloading...');
             event.preventDefault();
-            setTimeout(() => safeReload(), 2000);
+            scheduleErrorReload('invalid-component-operations', error);
             return;
         }
         
@@ -1079,7 +4558,7 @@
             (error.includes('circuit') && error.includes('expired'))) {
             console.log('[BlazorReconnect] Circuit expired, reloading...');
             event.preventDefault();
-            setTimeout(() => safeReload(), 2000);
+            scheduleErrorReload('circuit-expired', error);
             return;
         }
         
@@ -1091,37 +4570,341 @@
         }
     });
 
+    // ===== SCENARIO SIMULATOR (BlazorReconnect.simulate) =====
+    //
+    // Plays a scripted outage through the real reconnect logic on a fake clock, so each
+    // scenario in docs/reconnect-requirements.md can be a deterministic test:
+    //
+    //   const report = await BlazorReconnect.simulate([
+    //       'disconnect', { wait: 3000 }, 'failed', { wait: 10000 }, 'ping-ok', { wait: 2000 }
+    //   ]);
+    //   report.state        'reloading'
+    //   report.transitions  [{ from, to, cause, at, expected }, …]   (at = simulated ms)
+    //   report.events       [{ type, at, detail }, …]
+    //   report.unexpected   the rejected transitions
+    //   report.interrupted  null, or why the run was cut short ('blazor', 'error-reload')
+    //
+    // Steps:
+    //   'disconnect'               Blazor's show(): the circuit dropped
+    //   'failed'                   Blazor's failed(): Phase 1 exhausted
+    //   'reconnected'              Blazor's hide(): the circuit is back
+    //   'paused'                   .NET 10: the circuit was paused
+    //   'ping-ok' / 'ping-fail'    health requests from now on answer 200 / fail at network
+    //                              level (the default); { step: 'ping-fail', status: 503 }
+    //                              answers with a status, { step: 'ping-ok', body } with a body
+    //   'visibility-hidden' / 'visibility-restore'   visibilitychange
+    //   'offline' / 'online'       the browser's network events
+    //   'freeze' / 'resume'        Page Lifecycle — no timer fires while frozen; overdue
+    //                              timers run right after 'resume', as in a real browser
+    //   { wait: ms }               advance the fake clock, firing timers in order
+    //
+    // A run starts on a connected page and is isolated from it:
+    //   - only the disconnect cycle's own timers (cycleClock) are on the fake clock; idle
+    //     policy, connection quality and the interactivity gate keep their real timers and
+    //     take no part in the run;
+    //   - modals are built but never attached — no inert page, focus trap, live-region
+    //     announcement or tab indicator — and scroll / form snapshots are neither taken
+    //     nor cleared;
+    //   - events go into the report only: nothing is dispatched, no on* callback runs, and
+    //     other tabs and the telemetry beacon hear nothing;
+    //   - reloads only end the run, Blazor is never called, and health URLs get the
+    //     scripted answers (a custom healthProbe function still runs for real);
+    //   - the browser's own visibility, network and Page Lifecycle events are ignored.
+    // A real Blazor callback (or an error-driven reload) during a run ends it first and is
+    // then handled as usual. Reload jitter comes from a seeded generator (options.seed), so
+    // runs are repeatable.
+
+    function createFakeClock(startAt) {
+        let current = startAt;
+        let seq = 0;
+        const timers = new Map();      // id → { at, every, fn, seq }
+        const add = (fn, ms, every) => {
+            const id = `simulated-timer-${++seq}`;
+            timers.set(id, { at: current + Math.max(0, Number(ms) || 0), every, fn, seq });
+            return id;
+        };
+        const nextDue = (until) => {
+            let next = null;
+            for (const [id, t] of timers) {
+                if (t.at > until) continue;
+                if (!next || t.at < next.t.at || (t.at === next.t.at && t.seq < next.t.seq)) next = { id, t };
+            }
+            return next;
+        };
+        return {
+            frozen: false,
+            stopped: false,
+            now: () => current,
+            setTimeout: (fn, ms) => add(fn, ms, null),
+            setInterval: (fn, ms) => add(fn, ms, Math.max(1, Number(ms) || 0)),
+            // Timers created before the run are real — pass those through.
+            clearTimeout: (id) => { if (!timers.delete(id)) realClock.clearTimeout(id); },
+            clearInterval: (id) => { if (!timers.delete(id)) realClock.clearInterval(id); },
+            // The run is over — timers still pending are dropped with the clock.
+            stop() {
+                this.stopped = true;
+                timers.clear();
+            },
+            async advance(ms) {
+                const until = current + Math.max(0, ms);
+                for (;;) {
+                    await settle();
+                    // A reloading page is gone — nothing of it runs any more.
+                    const next = this.frozen || this.stopped || machineState === 'reloading' ? null : nextDue(until);
+                    if (!next) break;
+                    current = Math.max(current, next.t.at);
+                    if (next.t.every) next.t.at = current + next.t.every;
+                    else timers.delete(next.id);
+                    try {
+                        next.t.fn();
+                    } catch (e) {
+                        console.log(`[BlazorReconnect] Simulated timer threw: ${e}`);
+                    }
+                }
+                current = until;
+                await settle();
+            }
+        };
+    }
+
+    // One real macrotask, so promise chains started by a step (probes, resumeOrReload) finish.
+    function settle() {
+        return new Promise(resolve => realClock.setTimeout(resolve, 0));
+    }
+
+    // mulberry32
+    function seededRandom(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Stands in for fetch() in probeUrl() during a run. Honours the tick's AbortSignal.
+    async function simulatedResponse(signal) {
+        await Promise.resolve();
+        if (signal?.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+        const server = simulation.server;
+        if (server.status === null) throw new TypeError('Failed to fetch');
+        return {
+            ok: server.status >= 200 && server.status < 300,
+            status: server.status,
+            headers: new Headers(server.headers || {}),
+            text: async () => server.body ?? ''
+        };
+    }
+
+    async function runSimulationStep(step, fake) {
+        if (typeof step.wait === 'number') {
+            await fake.advance(step.wait);
+            return;
+        }
+        switch (step.step) {
+            case 'disconnect':
+                scheduleShowReconnectModal('simulate');
+                break;
+            case 'failed':
+                handleCircuitFailed('simulate');
+                break;
+            case 'reconnected':
+                hideReconnectModal();
+                break;
+            case 'paused':
+                showPausedModal();
+                break;
+            case 'ping-ok':
+                simulation.server = { status: step.status ?? 200, body: step.body, headers: step.headers };
+                break;
+            case 'ping-fail':
+                simulation.server = { status: step.status ?? null, body: step.body, headers: step.headers };
+                break;
+            case 'visibility-hidden':
+            case 'visibility-restore':
+                simulation.visibility = step.step === 'visibility-hidden' ? 'hidden' : 'visible';
+                onVisibilityChange();
+                break;
+            case 'offline':
+                simulation.online = false;
+                onNetworkOffline();
+                break;
+            case 'online':
+                simulation.online = true;
+                onNetworkOnline();
+                break;
+            case 'freeze':
+                onPageFreeze();
+                fake.frozen = true;
+                break;
+            case 'resume':
+                fake.frozen = false;
+                onPageResume();
+                break;
+            default:
+                throw new Error(`[BlazorReconnect] Unknown simulate() step: ${JSON.stringify(step)}`);
+        }
+    }
+
+    async function simulate(steps, options = {}) {
+        if (simulation) throw new Error('[BlazorReconnect] simulate() is already running');
+        if (machineState !== 'connected' || reconnectModal) {
+            throw new Error('[BlazorReconnect] simulate() needs a connected page with no reconnect UI showing');
+        }
+        const fake = createFakeClock(realClock.now());
+        const run = {
+            startedAt: fake.now(),
+            clock: fake,
+            visibility: 'visible',
+            online: true,
+            server: { status: null },
+            random: seededRandom(options.seed ?? 1),
+            transitions: [],
+            events: [],
+            quiet: false,
+            interrupted: null,
+            finalState: null
+        };
+        simulation = run;
+        cycleClock = fake;
+        healthProbe?.reset();
+        console.log(`[BlazorReconnect] Simulating ${steps.length} step(s) on a fake clock`);
+
+        let stepsRun = 0;
+        try {
+            for (const step of steps) {
+                if (simulation !== run || machineState === 'reloading') break;
+                await runSimulationStep(typeof step === 'string' ? { step } : step, fake);
+                await fake.advance(0);
+                if (simulation === run) stepsRun++;
+            }
+        } finally {
+            if (simulation === run) endSimulation();
+        }
+        return {
+            state: run.finalState,
+            elapsedMs: fake.now() - run.startedAt,
+            stepsRun,
+            interrupted: run.interrupted,
+            transitions: run.transitions,
+            events: run.events,
+            unexpected: run.transitions.filter(t => !t.expected)
+        };
+    }
+
+    // A real Blazor callback (or error-driven reload) during a run: hand the page back
+    // first, so it meets the real state.
+    function interruptSimulation(reason) {
+        if (!simulation) return;
+        console.log(`[BlazorReconnect] Simulation interrupted (${reason}) — back to the real page`);
+        simulation.interrupted = reason;
+        endSimulation();
+    }
+
+    // Wraps a browser event listener so the real event is ignored while a run is playing.
+    function unlessSimulating(handler) {
+        return (event) => {
+            if (!simulation) handler(event);
+        };
+    }
+
+    // Puts the page back the way simulate() found it, without telling anyone. The real
+    // scroll / form snapshots were never touched, so there is nothing to clear.
+    function endSimulation() {
+        const run = simulation;
+        run.quiet = true;
+        run.finalState = machineState;
+        run.clock.stop();
+        machineState = 'connected';
+        stateBeforeOffline = null;
+        hideReconnectModal();
+        stopServerPing();
+        stopRetryCountdown();
+        diagnosticShown = false;
+        disconnectedAt = null;
+        modalShownAt = null;
+        lastTrigger = null;
+        restoreBasePolicy();
+        healthProbe?.reset();
+
+        cycleClock = realClock;
+        simulation = null;
+        stateSince = cycleClock.now();
+        // Real visibilitychange events were ignored during the run — catch the idle clock up.
+        if (document.visibilityState !== 'hidden') hiddenSince = null;
+        else if (hiddenSince === null) hiddenSince = Date.now();
+        scheduleIdleCheck();
+        console.log('[BlazorReconnect] Simulation finished — back on the real clock');
+    }
+
     // ===== TESTING API =====
     
-    window.BlazorReconnect = {
+    // The public object doubles as the event source: BlazorReconnect.addEventListener(...)
+    window.BlazorReconnect = Object.assign(events, {
         status: () => {
             const s = {
                 version: VERSION,
+                state: machineState,
+                stateForMs: cycleClock.now() - stateSince,
+                nextStates: TRANSITIONS[machineState],
+                stateHistory: [...stateHistory],
+                simulating: !!simulation,
+                locale: activeLocale,
+                displayMode,
+                routePolicy: activePolicyName,
+                sessionExpired,
+                tabIndicator: tabState,
+                notificationPermission: 'Notification' in window ? Notification.permission : 'unsupported',
+                idle: idlePaused ? { since: idleSince, circuitDown: idleCircuitDown, circuitPaused: idlePausedCircuit } : null,
+                interactivityGate: gateActive ? { pending: gateQueue.filter(item => item.ref).length, waitingMs: Date.now() - gateStartedAt } : null,
                 modalVisible: !!reconnectModal,
+                offline: networkOffline,
+                connection: getConnectionInfo(),
+                connectionQuality: config.connectionQuality ? { level: qualityLevel, latencyMs: qualityLatencyMs } : null,
                 gracePeriodActive: !!showDelayTimer,
-                graceExpiredAwaitingPingFailure,
-                pingHasFailed,
-                isInitialLoad,
+                graceExpiredAwaitingPingFailure: modalHeld(),
+                pingHasFailed: outagePingFailures > 0,
+                isInitialLoad: isInitialLoad(),
                 hooked,
                 circuitState: getCircuitState(),
                 reconnectModalEl: !!document.getElementById('components-reconnect-modal'),
                 serverPingActive: !!serverPingTimer,
                 serverPingAttempt,
-                wokenFromVisibility,
-                scrollPositionSaved: (() => { try { return localStorage.getItem('__blazor_reconnect_scroll') !== null; } catch { return false; } })()
+                serverPingIntervalMs: currentPingIntervalMs,
+                healthProbe: getHealthProbe().label,
+                pendingReloadInMs: pendingReloadAt === null ? null : Math.max(0, pendingReloadAt - cycleClock.now()),
+                wokenFromVisibility: wokenRecently(),
+                disconnectedAt,
+                lastTrigger,
+                outagePingAttempts,
+                crossTabCoordination: !!crossTabChannel,
+                tabId: TAB_ID,
+                pingLeader: pingLeaderId === TAB_ID ? 'self' : pingLeaderId,
+                reloadWhenVisible,
+                recentReloads: readReloadHistory().reloads.length,
+                diagnosticShown,
+                scrollPositionSaved: (() => { try { return localStorage.getItem('__blazor_reconnect_scroll') !== null; } catch { return false; } })(),
+                formStateSaved: (() => { try { return sessionStorage.getItem(FORM_STORAGE_KEY) !== null; } catch { return false; } })()
             };
             console.log('[BlazorReconnect] Status:', s);
             return s;
         },
-        showModal: () => scheduleShowReconnectModal(),
+        showModal: () => scheduleShowReconnectModal('manual'),
         showModalNow: () => showReconnectModal(),   // skip grace period for testing
         hideModal: () => hideReconnectModal(),
         showFailedModal: () => showFailedModal(),   // test Phase 2 directly
         stopServerPing: () => stopServerPing(),
-        immediatePing: () => fireImmediatePing()    // simulate visibility-restore ping
-    };
+        immediatePing: () => fireImmediatePing(),   // simulate visibility-restore ping
+        showDiagnostics: () => showDiagnosticScreen(),
+        markInteractive: () => openInteractivityGate('interactive'),
+        requestNotificationPermission: () => requestNotificationPermission(),   // call from a click handler
+        clearReloadHistory: () => clearReloadHistory(),
+        simulate: (steps, options) => simulate(steps, options)   // scripted outage on a fake clock
+    });
 
-    console.log('[BlazorReconnect] Testing API: BlazorReconnect.status(), .showModal(), .hideModal(), .showFailedModal(), .stopServerPing(), .immediatePing()');
+    console.log('[BlazorReconnect] Testing API: BlazorReconnect.status(), .showModal(), .hideModal(), .showFailedModal(), .stopServerPing(), .immediatePing(), .showDiagnostics(), .clearReloadHistory(), .markInteractive(), .requestNotificationPermission(), .simulate()');
 
     // ===== VISIBILITY / FOCUS EVENTS =====
     //
@@ -1137,23 +4920,32 @@
     // visibilitychange  — reliable on iOS Safari 14.5+, Android Chrome, all modern desktop
     // pageshow (persisted) — iOS bfcache: page restored from cache, circuit is dead → reload
 
-    document.addEventListener('visibilitychange', () => {
-        if (document.visibilityState !== 'visible') return;
-        if (isInitialLoad) return;
-        if (circuitReconnected) return;
+    function onVisibilityChange() {
+        // Idle policy first: a tab that was hidden long enough stays paused instead of reconnecting.
+        if (noteVisibilityForIdle()) return;
+        if (pageVisibility() !== 'visible') return;
+
+        // Another tab saw the server come back while this one was hidden (crossTabCoordination).
+        if (reloadWhenVisible) {
+            console.log('[BlazorReconnect] Visibility restore — server came back while hidden, reloading');
+            closeServerBackNotification();
+            runDeferredReload('visibility');
+            return;
+        }
+
+        if (isInitialLoad()) return;
 
         // Mark that we woke from a visibility change. scheduleShowReconnectModal() uses
         // this to start Phase 2 (server ping) immediately (0ms) rather than waiting
         // serverPingStartDelayMilliseconds, which would add 3s to the recovery time.
-        // Auto-resets after 5s in case show() never fires (circuit stayed healthy).
-        wokenFromVisibility = true;
-        setTimeout(() => { wokenFromVisibility = false; }, 5000);
+        // Only counts for WAKE_WINDOW_MS, in case show() never fires (circuit stayed healthy).
+        wake = { trigger: 'visibility', at: cycleClock.now() };
 
         // 1. ALWAYS attempt Blazor circuit reconnect on visibility restore.
         //    This is safe to call even when the circuit is healthy — it's a no-op in that case.
         //    Previously this was gated on disconnectDetected, so it was skipped entirely when
         //    the screen woke up before Blazor had a chance to detect the dead circuit.
-        if (window.Blazor?.reconnect) {
+        if (blazorRuntime()?.reconnect) {
             console.log('[BlazorReconnect] Visibility restore — calling Blazor.reconnect()');
             Blazor.reconnect().then(result => {
                 if (result) {
@@ -1171,21 +4963,23 @@
         //    immediate health ping to reload as fast as possible.
         //    If the disconnect is NOT yet detected (common case on cold wake — Blazor hasn't
         //    noticed the dead socket yet), scheduleShowReconnectModal() will start Phase 2
-        //    immediately when Blazor fires show(), thanks to wokenFromVisibility=true above.
-        const disconnectDetected = !!reconnectModal || !!showDelayTimer;
+        //    immediately when Blazor fires show(), thanks to the wake recorded above.
+        const disconnectDetected = !!reconnectModal || !!showDelayTimer || !!pendingReloadTimer;
         if (disconnectDetected) {
             console.log('[BlazorReconnect] Visibility restore with active disconnect — immediate health check');
-            fireImmediatePing();
+            fireImmediatePing('visibility');
         } else {
             console.log('[BlazorReconnect] Visibility restore — Blazor.reconnect() fired; Phase 2 will start immediately if disconnect is detected');
         }
-    });
+    }
+    document.addEventListener('visibilitychange', unlessSimulating(onVisibilityChange));
 
     // iOS bfcache: when the user navigates back/forward and the page is restored from
     // the browser's cache, all Blazor state is dead-on-arrival. Force a fresh load.
     window.addEventListener('pageshow', (event) => {
         if (!event.persisted) return; // normal load — nothing to do
         console.log('[BlazorReconnect] Page restored from bfcache (persisted=true) — reloading for fresh circuit');
+        emit('reload', { reason: 'bfcache' });
         window.location.reload();
     });
 
@@ -1193,13 +4987,28 @@
     // Collapses detection latency to one RTT — no need to wait for the next 2s ping interval.
     // Works on Android Chrome, Desktop Chrome/Firefox/Edge. iOS Safari support is partial
     // but the visibilitychange handler already covers the iOS case.
-    window.addEventListener('online', () => {
-        if (isInitialLoad) return;
-        const disconnectDetected = !!reconnectModal || !!showDelayTimer;
+    function onNetworkOnline() {
+        if (isInitialLoad() || idlePaused) return;
+        const wasOffline = networkOffline;
+        leaveOfflineState();
+        const disconnectDetected = !!reconnectModal || !!showDelayTimer || wasOffline;
         if (!disconnectDetected) return; // circuit is healthy, nothing to do
         console.log('[BlazorReconnect] Network restored (online event) — immediate health check');
-        fireImmediatePing();
-    });
+        lastTrigger = 'online';
+        // The server may have kept the circuit while we were away — try it before the ping reloads.
+        blazorRuntime()?.reconnect?.().catch(() => {});
+        fireImmediatePing('online');
+    }
+    window.addEventListener('online', unlessSimulating(onNetworkOnline));
+
+    // Network lost during an outage: pause Phase 2 and switch to the offline copy right away
+    // instead of waiting for the next tick to notice.
+    function onNetworkOffline() {
+        if (isInitialLoad() || !config.offlineDetection) return;
+        const disconnectDetected = !!reconnectModal || !!showDelayTimer || !!serverPingTimer || !!serverPingStartTimer;
+        if (disconnectDetected) enterOfflineState();
+    }
+    window.addEventListener('offline', unlessSimulating(onNetworkOffline));
 
     // ===== PAGE LIFECYCLE API (Chrome 68+, Android Chrome) =====
     //
@@ -1211,21 +5020,31 @@
     // Acting here gives the fastest possible reconnect on Android Chrome background-tab
     // scenarios (one RTT sooner than waiting for visibilitychange).
 
-    document.addEventListener('freeze', () => {
+    function onPageFreeze() {
         saveScrollPosition();
+        saveFormState();
         console.log('[BlazorReconnect] Page freezing (Page Lifecycle API) — scroll position saved');
-    });
+    }
+    document.addEventListener('freeze', unlessSimulating(onPageFreeze));
 
-    document.addEventListener('resume', () => {
-        if (isInitialLoad) return;
+    function onPageResume() {
+        if (isInitialLoad()) return;
         console.log('[BlazorReconnect] Page resumed from frozen state (Page Lifecycle API)');
-        // Mark wokenFromVisibility so Phase 2 starts at 0ms when show() fires
-        wokenFromVisibility = true;
-        setTimeout(() => { wokenFromVisibility = false; }, 5000);
-        if (window.Blazor?.reconnect) {
+        // Timers don't run while frozen — the idle deadline may have passed in the meantime.
+        if (isIdleDue()) enterIdle();
+        if (idlePaused) return;
+        // The page survived the freeze in memory — drop the form snapshot taken in 'freeze'
+        // so an unrelated manual reload later doesn't resurrect stale field values.
+        // safeReload() takes a fresh snapshot if this resume ends in a reload.
+        clearFormState();
+        // Record the wake so Phase 2 starts at 0ms when show() fires
+        wake = { trigger: 'resume', at: cycleClock.now() };
+        if (isDisconnectCycleActive()) lastTrigger = 'resume';
+        if (blazorRuntime()?.reconnect) {
             Blazor.reconnect().catch(() => {});
         }
-    });
+    }
+    document.addEventListener('resume', unlessSimulating(onPageResume));
 
     // ===== DESKTOP: WINDOW FOCUS EVENT =====
     //
@@ -1234,33 +5053,39 @@
     // visibilitychange does NOT fire — only window.focus fires when the window comes back.
     // This covers that gap for desktop users who alt-tab away from the browser entirely.
 
-    window.addEventListener('focus', () => {
-        if (isInitialLoad) return;
-        if (circuitReconnected) return;
+    window.addEventListener('focus', unlessSimulating(() => {
+        if (isInitialLoad() || idlePaused) return;
         // Only act when the tab is visible — tab-switch case is handled by visibilitychange.
-        if (document.visibilityState !== 'visible') return;
+        if (pageVisibility() !== 'visible') return;
 
         // Call Blazor.reconnect() unconditionally — safe no-op when circuit is healthy.
-        if (window.Blazor?.reconnect) {
+        if (blazorRuntime()?.reconnect) {
             console.log('[BlazorReconnect] Window focused (desktop) — calling Blazor.reconnect()');
             Blazor.reconnect().catch(() => {});
         }
         // If a disconnect is already detected, accelerate recovery with an immediate ping.
-        const disconnectDetected = !!reconnectModal || !!showDelayTimer;
+        const disconnectDetected = !!reconnectModal || !!showDelayTimer || !!pendingReloadTimer;
         if (disconnectDetected) {
             console.log('[BlazorReconnect] Window focused with active disconnect — immediate health check');
-            fireImmediatePing();
+            fireImmediatePing('focus');
         }
-    });
+    }));
 
     // ===== INITIALIZATION =====
 
     function init() {
         ensureDefaultModalSuppressed();
+        initCrossTab();
+        initTelemetry();
+        startConnectionQuality();
+        startInteractivityGate();
+        startIdlePolicy();
+        initServiceWorker();
 
         // Restore scroll position if this is a reconnect-triggered reload.
         // restoreScrollPosition() uses double rAF internally to wait for full layout.
         restoreScrollPosition();
+        restoreFormState();
 
         console.log('[BlazorReconnect] ✅ Initialized');
 
@@ -1284,7 +5109,7 @@
         // Start polling safety net. The 1-second guard lets Blazor complete its
         // initial circuit connection before we start watching for state changes.
         setTimeout(() => {
-            isInitialLoad = false;
+            if (machineState === 'starting') transition('connected', 'loaded');
             startPolling();
         }, 1000);
     }
@@ -1,5 +1,6 @@
 using Microsoft.AspNetCore.Builder;
 using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.Routing;
 using Microsoft.Extensions.DependencyInjection;
 using System.Text.Json;
@@ -11,15 +12,25 @@ namespace TheNerdCollective.Blazor.SessionMonitor;
 /// </summary>
 public static class EndpointRouteBuilderExtensions
 {
+    private const int MaxTelemetryReportsPerRequest = 50;
+
+    // 50 records of a few hundred bytes each; anything larger is not from the beacon.
+    private const long MaxTelemetryRequestBodyBytes = 64 * 1024;
+
     /// <summary>
     /// Maps session monitoring API endpoints.
     /// </summary>
     /// <param name="endpoints">The endpoint route builder.</param>
     /// <param name="pattern">Base URL pattern (default: "/api/session-monitor").</param>
+    /// <param name="configureTelemetryEndpoint">
+    /// Optional callback for the anonymous <c>reconnect-telemetry</c> ingest endpoint, e.g. to call
+    /// <c>RequireRateLimiting</c> or <c>RequireAuthorization</c> on it.
+    /// </param>
     /// <returns>The endpoint route builder for chaining.</returns>
     public static IEndpointRouteBuilder MapSessionMonitoringEndpoints(
         this IEndpointRouteBuilder endpoints,
-        string pattern = "/api/session-monitor")
+        string pattern = "/api/session-monitor",
+        Action<RouteHandlerBuilder>? configureTelemetryEndpoint = null)
     {
         var jsonOptions = new JsonSerializerOptions
         {
@@ -89,6 +100,32 @@ public static class EndpointRouteBuilderExtensions
         .WithName("CanDeploy")
         .WithDescription("Check if deployment is safe based on active session count");
 
+        // POST /api/session-monitor/reconnect-telemetry
+        // Body: JSON array of outage records sent by blazor-reconnect.js (telemetryEndpoint)
+        var telemetryEndpoint = endpoints.MapPost($"{pattern}/reconnect-telemetry", (
+            ISessionMonitorService monitor,
+            ReconnectOutageReport?[] reports) =>
+        {
+            // The beacon batches at most 50 queued records — ignore anything beyond that.
+            // The endpoint is anonymous, so null entries are skipped rather than trusted.
+            foreach (var report in reports.Take(MaxTelemetryReportsPerRequest))
+            {
+                if (report is null)
+                {
+                    continue;
+                }
+
+                monitor.RecordReconnectOutage(report);
+            }
+
+            return Results.NoContent();
+        })
+        .WithName("IngestReconnectTelemetry")
+        .WithDescription("Ingest client-side reconnect outage records from the Reconnect telemetry beacon")
+        .WithMetadata(new RequestSizeLimitAttribute(MaxTelemetryRequestBodyBytes));
+
+        configureTelemetryEndpoint?.Invoke(telemetryEndpoint);
+
         return endpoints;
     }
 }
@@ -35,6 +35,16 @@ public interface ISessionMonitorService
     /// <param name="windowMinutes">Length of deployment window in minutes.</param>
     /// <param name="lookbackHours">How far back to analyze (default 24 hours).</param>
     IEnumerable<DeploymentWindow> FindOptimalDeploymentWindows(int windowMinutes = 5, int lookbackHours = 24);
+
+    /// <summary>
+    /// Record a client-side outage reported by the reconnect telemetry beacon.
+    /// Reports with an unknown <see cref="ReconnectOutageReport.Outcome"/> are ignored.
+    /// The default implementation ignores every report, so existing implementations keep compiling.
+    /// </summary>
+    /// <param name="report">The outage record sent by the browser.</param>
+    void RecordReconnectOutage(ReconnectOutageReport report)
+    {
+    }
 }
 
 /// <summary>
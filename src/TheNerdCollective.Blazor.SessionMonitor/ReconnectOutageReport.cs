@@ -0,0 +1,58 @@
+namespace TheNerdCollective.Blazor.SessionMonitor;
+
+/// <summary>
+/// A client-side outage record posted by the TheNerdCollective.Blazor.Reconnect telemetry beacon.
+/// </summary>
+public class ReconnectOutageReport
+{
+    /// <summary>
+    /// When the client detected the disconnect, in Unix epoch milliseconds (if known).
+    /// </summary>
+    public long? DisconnectedAt { get; set; }
+
+    /// <summary>
+    /// How long the outage lasted on the client, in milliseconds.
+    /// </summary>
+    public long DurationMs { get; set; }
+
+    /// <summary>
+    /// How the outage ended: "circuit-restored" (same circuit resumed) or "reload" (new circuit).
+    /// </summary>
+    public string Outcome { get; set; } = "";
+
+    /// <summary>
+    /// True when the user never saw the reconnect modal.
+    /// </summary>
+    public bool Silent { get; set; }
+
+    /// <summary>
+    /// Why the page reloaded (e.g. "server-back", "manual", "circuit-expired"), when Outcome is "reload".
+    /// </summary>
+    public string? ReloadReason { get; set; }
+
+    /// <summary>
+    /// Platform event that drove recovery ("visibility", "focus", "online", "resume"), if any.
+    /// </summary>
+    public string? Trigger { get; set; }
+
+    /// <summary>
+    /// Number of /health pings the client made during the outage.
+    /// </summary>
+    public int PingAttempts { get; set; }
+
+    /// <summary>
+    /// Path of the page that was open when the outage happened.
+    /// </summary>
+    public string? Path { get; set; }
+
+    /// <summary>
+    /// Version of the reconnect script that sent the report.
+    /// </summary>
+    public string? ClientVersion { get; set; }
+
+    /// <summary>
+    /// True for the outcomes the reconnect script sends ("circuit-restored" and "reload").
+    /// </summary>
+    public static bool IsKnownOutcome(string? outcome) =>
+        outcome is "circuit-restored" or "reload";
+}
@@ -51,6 +51,31 @@ public class SessionMetrics
     /// </summary>
     public long TotalReconnects { get; set; }
 
+    /// <summary>
+    /// Total number of client-side outages reported by the reconnect telemetry beacon.
+    /// </summary>
+    public long TotalClientOutages { get; set; }
+
+    /// <summary>
+    /// Reported outages that recovered without the user ever seeing the reconnect modal.
+    /// </summary>
+    public long SilentClientRecoveries { get; set; }
+
+    /// <summary>
+    /// Reported outages where the reconnect modal was shown to the user.
+    /// </summary>
+    public long ModalClientOutages { get; set; }
+
+    /// <summary>
+    /// Reported outages that ended in a page reload (new circuit) rather than a resumed circuit.
+    /// </summary>
+    public long ClientOutageReloads { get; set; }
+
+    /// <summary>
+    /// Average reported client outage duration in seconds (if any outages were reported).
+    /// </summary>
+    public double? AverageClientOutageSeconds { get; set; }
+
     /// <summary>
     /// When session tracking started (process start time).
     /// </summary>
@@ -17,9 +17,14 @@ public class SessionMonitorService : ISessionMonitorService
     private int _peakSessions;
     private long _totalDisconnects;
     private long _totalReconnects;
+    private long _totalClientOutages;
+    private long _silentClientRecoveries;
+    private long _clientOutageReloads;
+    private long _totalClientOutageMs;
     private readonly DateTime _trackingStartedAt = DateTime.UtcNow;
 
     private const int MaxHistorySize = 10000; // Keep last 10k snapshots
+    private const long MaxClientOutageMs = 24L * 60 * 60 * 1000; // Reports come from anonymous clients — cap at one day
     private DateTime _lastSnapshotTime = DateTime.UtcNow;
     private int _lastSnapshotCount;
 
@@ -90,6 +95,28 @@ public class SessionMonitorService : ISessionMonitorService
         }
     }
 
+    public void RecordReconnectOutage(ReconnectOutageReport report)
+    {
+        if (report is null || !ReconnectOutageReport.IsKnownOutcome(report.Outcome))
+        {
+            return;
+        }
+
+        lock (_statsLock)
+        {
+            _totalClientOutages++;
+            if (report.Silent)
+            {
+                _silentClientRecoveries++;
+            }
+            if (report.Outcome == "reload")
+            {
+                _clientOutageReloads++;
+            }
+            _totalClientOutageMs += Math.Clamp(report.DurationMs, 0, MaxClientOutageMs);
+        }
+    }
+
     public SessionMetrics GetCurrentMetrics()
     {
         var currentCount = _activeSessions.Count;
@@ -104,6 +131,15 @@ public class SessionMonitorService : ISessionMonitorService
                 .Average(s => (s.EndedAt!.Value - s.StartedAt).TotalSeconds);
         }
 
+        long totalClientOutages, silentClientRecoveries, clientOutageReloads, totalClientOutageMs;
+        lock (_statsLock)
+        {
+            totalClientOutages = _totalClientOutages;
+            silentClientRecoveries = _silentClientRecoveries;
+            clientOutageReloads = _clientOutageReloads;
+            totalClientOutageMs = _totalClientOutageMs;
+        }
+
         return new SessionMetrics
         {
             ActiveSessions = currentCount,
@@ -115,6 +151,13 @@ public class SessionMonitorService : ISessionMonitorService
             DisconnectedSessions = disconnectedSessions.Count,
             TotalDisconnects = _totalDisconnects,
             TotalReconnects = _totalReconnects,
+            TotalClientOutages = totalClientOutages,
+            SilentClientRecoveries = silentClientRecoveries,
+            ModalClientOutages = totalClientOutages - silentClientRecoveries,
+            ClientOutageReloads = clientOutageReloads,
+            AverageClientOutageSeconds = totalClientOutages > 0
+                ? totalClientOutageMs / 1000.0 / totalClientOutages
+                : null,
             TrackingSince = _trackingStartedAt
         };
     }
@@ -7,6 +7,8 @@
  * - Shows a non-intrusive banner when a new version is available
  * - Supports deployment phase awareness
  * - Network-aware (re-polls when back online)
+ * - CSP-friendly: with csp on (automatic when the script tag has a nonce) the banner
+ *   is rendered without style= attributes, so style-src needs no 'unsafe-inline'
  * 
  * Usage:
  *   <script src="_content/TheNerdCollective.Blazor.VersionMonitor/js/blazor-version-monitor.js"></script>
@@ -16,6 +18,10 @@
     'use strict';
     
     // ===== CONFIGURATION =====
+
+    // A nonce is only readable while the <script> tag is executing, so capture it up front.
+    const scriptNonce = document.currentScript?.nonce || null;
+
     const config = {
         // Status endpoint
         statusUrl: '/reconnection-status.json',
@@ -29,6 +35,11 @@
         primaryColor: '#594AE2',
         versionUpdateMessage: null,
         bannerHtml: null,
+
+        // Content-Security-Policy: render the banner without inline style attributes (its
+        // styles are applied through the CSSOM instead). null = on when this <script> tag
+        // carries a nonce.
+        csp: null,
         
         // Override with user config
         ...(window.blazorVersionMonitorConfig || {})
@@ -36,6 +47,8 @@
 
     console.log('[VersionMonitor] Initializing with config:', config);
 
+    const cspMode = config.csp ?? !!scriptNonce;
+
     // ===== STATE =====
     let initialCommit = null;
     let initialVersion = null;
@@ -58,6 +71,20 @@
                hostname.match(/^10\.\d{1,3}\.\d{1,3}\.\d{1,3}$/);
     }
 
+    // innerHTML that keeps working under style-src without 'unsafe-inline': style='…'
+    // attributes are parked in data-vm-style and copied into element.style after parsing.
+    function setHtml(target, html) {
+        if (!cspMode) {
+            target.innerHTML = html;
+            return;
+        }
+        target.innerHTML = html.replace(/(\s)style=(['"])([\s\S]*?)\2/g, '$1data-vm-style=$2$3$2');
+        target.querySelectorAll('[data-vm-style]').forEach(el => {
+            el.style.cssText = el.getAttribute('data-vm-style');
+            el.removeAttribute('data-vm-style');
+        });
+    }
+
     async function fetchStatus() {
         if (!config.enabled) return null;
         
@@ -146,9 +173,9 @@
         versionBanner.id = 'blazor-version-banner';
         
         if (config.bannerHtml) {
-            versionBanner.innerHTML = config.bannerHtml;
+            setHtml(versionBanner, config.bannerHtml);
         } else {
-            versionBanner.innerHTML = `
+            setHtml(versionBanner, `
                 <div style='position: fixed; top: 20px; left: 50%; transform: translateX(-50%); 
                             background: ${config.primaryColor}; color: white; 
                             padding: 1rem 1.5rem; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.15);
@@ -167,7 +194,7 @@
                         Senere
                     </button>
                 </div>
-            `;
+            `);
         }
         
         document.body.appendChild(versionBanner);
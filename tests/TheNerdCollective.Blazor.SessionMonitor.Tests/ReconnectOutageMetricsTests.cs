@@ -0,0 +1,71 @@
+using TheNerdCollective.Blazor.SessionMonitor;
+
+namespace TheNerdCollective.Blazor.SessionMonitor.Tests;
+
+public sealed class ReconnectOutageMetricsTests
+{
+    [Fact]
+    public void Metrics_start_without_client_outages()
+    {
+        var metrics = new SessionMonitorService().GetCurrentMetrics();
+
+        Assert.Equal(0, metrics.TotalClientOutages);
+        Assert.Null(metrics.AverageClientOutageSeconds);
+    }
+
+    [Fact]
+    public void Outages_are_split_into_silent_modal_and_reload_counts()
+    {
+        var monitor = new SessionMonitorService();
+
+        monitor.RecordReconnectOutage(Report("circuit-restored", 1000, silent: true));
+        monitor.RecordReconnectOutage(Report("circuit-restored", 2000, silent: false));
+        monitor.RecordReconnectOutage(Report("reload", 6000, silent: false));
+
+        var metrics = monitor.GetCurrentMetrics();
+        Assert.Equal(3, metrics.TotalClientOutages);
+        Assert.Equal(1, metrics.SilentClientRecoveries);
+        Assert.Equal(2, metrics.ModalClientOutages);
+        Assert.Equal(1, metrics.ClientOutageReloads);
+        Assert.Equal(3.0, metrics.AverageClientOutageSeconds);
+    }
+
+    [Theory]
+    [InlineData("")]
+    [InlineData("RELOAD")]
+    [InlineData("bogus")]
+    public void Unknown_outcomes_are_ignored(string outcome)
+    {
+        var monitor = new SessionMonitorService();
+
+        monitor.RecordReconnectOutage(Report(outcome, 1000));
+
+        Assert.Equal(0, monitor.GetCurrentMetrics().TotalClientOutages);
+    }
+
+    [Fact]
+    public void Durations_are_clamped_to_one_day()
+    {
+        var monitor = new SessionMonitorService();
+
+        monitor.RecordReconnectOutage(Report("reload", long.MaxValue));
+        monitor.RecordReconnectOutage(Report("reload", long.MaxValue));
+        monitor.RecordReconnectOutage(Report("reload", -5000));
+
+        var metrics = monitor.GetCurrentMetrics();
+        Assert.Equal(3, metrics.TotalClientOutages);
+        Assert.Equal(2 * 24 * 60 * 60 / 3.0, metrics.AverageClientOutageSeconds!.Value, precision: 6);
+    }
+
+    internal static ReconnectOutageReport Report(string outcome, long durationMs, bool silent = false) => new()
+    {
+        DisconnectedAt = 1769610600000,
+        DurationMs = durationMs,
+        Outcome = outcome,
+        Silent = silent,
+        ReloadReason = outcome == "reload" ? "server-back" : null,
+        PingAttempts = 2,
+        Path = "/orders/42",
+        ClientVersion = "v1.12.0"
+    };
+}
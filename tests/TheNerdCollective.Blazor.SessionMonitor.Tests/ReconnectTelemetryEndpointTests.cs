@@ -0,0 +1,130 @@
+using System.Net;
+using System.Text;
+using Microsoft.AspNetCore.Builder;
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Http.Metadata;
+using Microsoft.AspNetCore.RateLimiting;
+using Microsoft.AspNetCore.Routing;
+using Microsoft.AspNetCore.TestHost;
+using Microsoft.Extensions.DependencyInjection;
+using TheNerdCollective.Blazor.SessionMonitor;
+
+namespace TheNerdCollective.Blazor.SessionMonitor.Tests;
+
+public sealed class ReconnectTelemetryEndpointTests
+{
+    private const string TelemetryUrl = "/api/session-monitor/reconnect-telemetry";
+
+    [Fact]
+    public async Task Telemetry_batch_is_ingested_into_current_metrics()
+    {
+        await using var app = await CreateAppAsync();
+        var client = app.GetTestClient();
+
+        var response = await PostJsonAsync(client, """
+            [
+              { "disconnectedAt": 1769610600000, "durationMs": 4000, "outcome": "reload", "silent": false, "reloadReason": "server-back", "pingAttempts": 3 },
+              { "disconnectedAt": 1769610700000, "durationMs": 800, "outcome": "circuit-restored", "silent": true, "pingAttempts": 0 }
+            ]
+            """);
+
+        Assert.Equal(HttpStatusCode.NoContent, response.StatusCode);
+        var metrics = app.Services.GetRequiredService<ISessionMonitorService>().GetCurrentMetrics();
+        Assert.Equal(2, metrics.TotalClientOutages);
+        Assert.Equal(1, metrics.SilentClientRecoveries);
+        Assert.Equal(1, metrics.ClientOutageReloads);
+    }
+
+    [Fact]
+    public async Task Null_entries_and_unknown_outcomes_are_skipped()
+    {
+        await using var app = await CreateAppAsync();
+        var client = app.GetTestClient();
+
+        var response = await PostJsonAsync(client, """
+            [
+              null,
+              { "durationMs": 1000, "outcome": "forged" },
+              { "durationMs": 1000, "outcome": "circuit-restored", "silent": true }
+            ]
+            """);
+
+        Assert.Equal(HttpStatusCode.NoContent, response.StatusCode);
+        var metrics = app.Services.GetRequiredService<ISessionMonitorService>().GetCurrentMetrics();
+        Assert.Equal(1, metrics.TotalClientOutages);
+    }
+
+    [Fact]
+    public async Task Only_the_first_fifty_records_of_a_batch_are_ingested()
+    {
+        await using var app = await CreateAppAsync();
+        var client = app.GetTestClient();
+
+        var record = """{ "durationMs": 100, "outcome": "circuit-restored", "silent": true }""";
+        var response = await PostJsonAsync(client, "[" + string.Join(",", Enumerable.Repeat(record, 80)) + "]");
+
+        Assert.Equal(HttpStatusCode.NoContent, response.StatusCode);
+        var metrics = app.Services.GetRequiredService<ISessionMonitorService>().GetCurrentMetrics();
+        Assert.Equal(50, metrics.TotalClientOutages);
+    }
+
+    [Fact]
+    public async Task Telemetry_request_body_is_capped()
+    {
+        await using var app = await CreateAppAsync();
+
+        var endpoint = ((IEndpointRouteBuilder)app).DataSources
+            .SelectMany(source => source.Endpoints)
+            .Single(e => e.Metadata.GetMetadata<IEndpointNameMetadata>()?.EndpointName == "IngestReconnectTelemetry");
+
+        Assert.Equal(64 * 1024, endpoint.Metadata.GetMetadata<IRequestSizeLimitMetadata>()?.MaxRequestBodySize);
+    }
+
+    [Fact]
+    public async Task Telemetry_endpoint_accepts_host_conventions_such_as_rate_limiting()
+    {
+        await using var app = await CreateAppAsync(
+            builder => builder.Services.AddRateLimiter(options =>
+            {
+                options.RejectionStatusCode = StatusCodes.Status429TooManyRequests;
+                options.AddFixedWindowLimiter("telemetry", limiter =>
+                {
+                    limiter.PermitLimit = 1;
+                    limiter.Window = TimeSpan.FromMinutes(1);
+                });
+            }),
+            app => app.UseRateLimiter(),
+            telemetry => telemetry.RequireRateLimiting("telemetry"));
+        var client = app.GetTestClient();
+
+        var record = """[{ "durationMs": 100, "outcome": "circuit-restored", "silent": true }]""";
+        var first = await PostJsonAsync(client, record);
+        var second = await PostJsonAsync(client, record);
+
+        Assert.Equal(HttpStatusCode.NoContent, first.StatusCode);
+        Assert.Equal(HttpStatusCode.TooManyRequests, second.StatusCode);
+        var metrics = app.Services.GetRequiredService<ISessionMonitorService>().GetCurrentMetrics();
+        Assert.Equal(1, metrics.TotalClientOutages);
+    }
+
+    private static Task<HttpResponseMessage> PostJsonAsync(HttpClient client, string json) =>
+        client.PostAsync(TelemetryUrl, new StringContent(json, Encoding.UTF8, "application/json"));
+
+    private static async Task<WebApplication> CreateAppAsync(
+        Action<WebApplicationBuilder>? configureBuilder = null,
+        Action<WebApplication>? configureApp = null,
+        Action<RouteHandlerBuilder>? configureTelemetryEndpoint = null)
+    {
+        var builder = WebApplication.CreateBuilder();
+        builder.WebHost.UseTestServer();
+        builder.Services.AddSessionMonitoring();
+        configureBuilder?.Invoke(builder);
+
+        var app = builder.Build();
+        configureApp?.Invoke(app);
+        app.MapSessionMonitoringEndpoints(configureTelemetryEndpoint: configureTelemetryEndpoint);
+        await app.StartAsync();
+        return app;
+    }
+}
@@ -4,6 +4,8 @@ const demoUrl = process.env.DEMO_URL ?? 'http://localhost:5072';
 
 export default defineConfig({
   testDir: '.',
+  // Runs without the Demo app through playwright.reconnect.config.ts.
+  testIgnore: /reconnect-.*\.spec\.ts/,
   timeout: 30_000,
   expect: { timeout: 10_000 },
   retries: process.env.CI ? 1 : 0,
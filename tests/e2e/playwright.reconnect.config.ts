@@ -0,0 +1,17 @@
+import { defineConfig } from '@playwright/test';
+
+// The reconnect specs serve blazor-reconnect.js from a routed dummy origin
+// (reconnect-helpers.ts), so this config starts no web server and needs no Demo build.
+export default defineConfig({
+  testDir: '.',
+  testMatch: /reconnect-.*\.spec\.ts/,
+  timeout: 30_000,
+  expect: { timeout: 10_000 },
+  retries: process.env.CI ? 1 : 0,
+  use: {
+    actionTimeout: 5_000,
+    navigationTimeout: 10_000,
+    trace: 'on-first-retry',
+  },
+  projects: [{ name: 'reconnect' }],
+});
@@ -0,0 +1,109 @@
+import { expect, test, type BrowserContext, type Page } from '@playwright/test';
+import { openReconnectPage, RECONNECT_ORIGIN } from './reconnect-helpers';
+
+// crossTabCoordination: two tabs of one origin share the BroadcastChannel, so only the
+// leader polls /health. These run real disconnect cycles (simulate() keeps off the channel)
+// against a server that stays down.
+
+const PING_INTERVAL = 500;
+const CONFIG = {
+  crossTabCoordination: true,
+  serverPingIntervalMilliseconds: PING_INTERVAL,
+  showDelayMilliseconds: 1000,
+};
+
+type Tab = { page: Page; pings: () => number };
+
+async function openTab(context: BrowserContext, config: Record<string, unknown> = CONFIG): Promise<Tab> {
+  const page = await context.newPage();
+  await openReconnectPage(page, { config });
+  let pings = 0;
+  await page.route(`${RECONNECT_ORIGIN}/health`, async (route) => {
+    pings++;
+    await route.fulfill({ status: 503, body: 'Unavailable' });
+  });
+  return { page, pings: () => pings };
+}
+
+function status(tab: Tab) {
+  return tab.page.evaluate(() => (window as any).BlazorReconnect.status());
+}
+
+function dropCircuit(tab: Tab) {
+  return tab.page.evaluate(() => (window as any).BlazorReconnect.showModal());
+}
+
+// Counts each tab's pings over a few intervals once leadership has settled.
+async function pingsOver(tabs: Tab[], ms: number) {
+  const before = tabs.map((tab) => tab.pings());
+  await tabs[0].page.waitForTimeout(ms);
+  return tabs.map((tab, i) => tab.pings() - before[i]);
+}
+
+test.describe('Reconnect cross-tab coordination', () => {
+  test('a follower tab leaves /health to the leader', async ({ context }) => {
+    const leader = await openTab(context);
+    const follower = await openTab(context);
+
+    await dropCircuit(leader);
+    await expect.poll(() => leader.pings()).toBeGreaterThan(0);
+    await dropCircuit(follower);
+
+    const [led, followed] = await pingsOver([leader, follower], PING_INTERVAL * 6);
+    expect(led).toBeGreaterThan(2);
+    expect(followed).toBe(0);
+    const leaderId = (await status(leader)).tabId;
+    expect(await status(leader)).toMatchObject({ pingLeader: 'self' });
+    expect(await status(follower)).toMatchObject({ pingLeader: leaderId });
+  });
+
+  test('simultaneous claims settle on one leader', async ({ context }) => {
+    const tabs = [await openTab(context), await openTab(context)];
+
+    await Promise.all(tabs.map(dropCircuit));
+    await tabs[0].page.waitForTimeout(PING_INTERVAL * 3);
+
+    const pings = await pingsOver(tabs, PING_INTERVAL * 6);
+    expect(pings.filter((count) => count > 0)).toHaveLength(1);
+    const leaders = await Promise.all(tabs.map(async (tab) => (await status(tab)).pingLeader));
+    expect(leaders.filter((id) => id === 'self')).toHaveLength(1);
+  });
+
+  test('a follower holding its modal shows it on the leader\'s ping failure', async ({ context }) => {
+    const config = { ...CONFIG, requireFailedPingBeforeModal: true };
+    const leader = await openTab(context, config);
+    const follower = await openTab(context, config);
+
+    await dropCircuit(leader);
+    await expect.poll(async () => (await status(leader)).state).toBe('reconnecting');
+    await dropCircuit(follower);
+
+    await expect.poll(async () => (await status(follower)).state).toBe('reconnecting');
+    expect(follower.pings()).toBe(0);
+    expect((await status(follower)).pingHasFailed).toBe(true);
+  });
+
+  test('a follower takes over when the leader tab closes', async ({ context }) => {
+    const leader = await openTab(context);
+    const follower = await openTab(context);
+    await follower.page.evaluate((name) => {
+      const channel = new BroadcastChannel(name);
+      (window as any).crossTabMessages = [];
+      channel.onmessage = (event) => (window as any).crossTabMessages.push(event.data);
+    }, 'blazor-reconnect');
+
+    await dropCircuit(leader);
+    await expect.poll(() => leader.pings()).toBeGreaterThan(0);
+    await dropCircuit(follower);
+    const leaderId = (await status(leader)).tabId;
+    await expect.poll(async () => (await status(follower)).pingLeader).toBe(leaderId);
+
+    await leader.page.close();
+
+    await expect
+      .poll(() => follower.page.evaluate(() => (window as any).crossTabMessages.map((m: any) => `${m.type}:${m.tabId}`)))
+      .toContain(`ping-resign:${leaderId}`);
+    await expect.poll(() => follower.pings()).toBeGreaterThan(0);
+    expect(await status(follower)).toMatchObject({ pingLeader: 'self' });
+  });
+});
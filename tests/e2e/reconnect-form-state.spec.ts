@@ -0,0 +1,112 @@
+import { expect, test, type Page } from '@playwright/test';
+import { openReconnectPage, RECONNECT_ORIGIN, waitForReconnectReady } from './reconnect-helpers';
+
+// preserveFormState: values are saved when the circuit drops and restored after the reload.
+
+const FORM = `
+<input id="name">
+<textarea name="notes"></textarea>
+<input type="checkbox" id="terms">
+<select id="size"><option>S</option><option>M</option><option>L</option></select>
+<input type="radio" name="plan" value="basic" checked>
+<input type="radio" name="plan" value="pro">
+<input type="password" name="secret">
+<input name="otp" autocomplete="one-time-code">
+<div data-no-persist><input name="card"></div>
+<div class="ql-editor" contenteditable="true"><p>quill</p><span contenteditable="true">nested</span></div>
+<div data-testid="plain-editor" contenteditable="true">plain</div>
+<div class="mud-select" data-persist-key="fruit">
+  <div class="mud-input-control"><input readonly></div>
+</div>
+<div class="mud-popover" id="fruit-list">
+  <div class="mud-list-item">Apple</div>
+  <div class="mud-list-item">Pear</div>
+</div>
+<script>
+  // Stand-in for MudSelect: clicking the control opens the list, picking an item sets the text.
+  document.querySelector('.mud-select .mud-input-control').addEventListener('click', () => {
+    document.getElementById('fruit-list').classList.add('mud-popover-open');
+  });
+  document.getElementById('fruit-list').addEventListener('click', (e) => {
+    const item = e.target.closest('.mud-list-item');
+    if (!item) return;
+    document.querySelector('.mud-select input').value = item.textContent.trim();
+    e.currentTarget.classList.remove('mud-popover-open');
+  });
+</script>`;
+
+async function openForm(page: Page) {
+  await openReconnectPage(page, { body: FORM, config: { preserveFormState: true } });
+}
+
+// The circuit drops (snapshot saved), then the page loads again as the reload would.
+async function dropAndReload(page: Page) {
+  await page.evaluate(() => (window as any).BlazorReconnect.showModal());
+  const saved = await page.evaluate(() => sessionStorage.getItem('__blazor_reconnect_form'));
+  // goto rather than reload(): the browser's own form restoration must not help out
+  await page.goto(`${RECONNECT_ORIGIN}/page`);
+  await waitForReconnectReady(page);
+  return JSON.parse(saved ?? '{}');
+}
+
+test.describe('Reconnect form state', () => {
+  test('typed values come back after the reload', async ({ page }) => {
+    await openForm(page);
+    await page.locator('#name').fill('Ada');
+    await page.locator('[name=notes]').fill('Remember me');
+    await page.locator('#terms').check();
+    await page.locator('#size').selectOption('L');
+    await page.locator('[value=pro]').check();
+
+    await dropAndReload(page);
+
+    await expect(page.locator('#name')).toHaveValue('Ada');
+    await expect(page.locator('[name=notes]')).toHaveValue('Remember me');
+    await expect(page.locator('#terms')).toBeChecked();
+    await expect(page.locator('#size')).toHaveValue('L');
+    await expect(page.locator('[value=pro]')).toBeChecked();
+    await expect
+      .poll(() => page.evaluate(() => (window as any).BlazorReconnect.status().formStateSaved))
+      .toBe(false);
+  });
+
+  test('passwords, one-time codes and data-no-persist fields are never saved', async ({ page }) => {
+    await openForm(page);
+    await page.locator('#name').fill('Ada');
+    await page.locator('[name=secret]').fill('hunter2');
+    await page.locator('[name=otp]').fill('123456');
+    await page.locator('[name=card]').fill('4242 4242 4242 4242');
+
+    const snapshot = await dropAndReload(page);
+
+    expect(Object.keys(snapshot.fields)).toEqual(['#name', '#terms', '#size', 'radio:plan', 'rich:0', 'rich:1']);
+    expect(JSON.stringify(snapshot)).not.toMatch(/hunter2|123456|4242/);
+    await expect(page.locator('#name')).toHaveValue('Ada');
+    await expect(page.locator('[name=secret]')).toHaveValue('');
+    await expect(page.locator('[name=otp]')).toHaveValue('');
+    await expect(page.locator('[name=card]')).toHaveValue('');
+  });
+
+  test('rich text goes back into the same editor when another is nested in Quill', async ({ page }) => {
+    await openForm(page);
+    await page.getByTestId('plain-editor').fill('edited');
+
+    const snapshot = await dropAndReload(page);
+
+    expect(snapshot.fields['rich:1']).toEqual({ kind: 'html', value: 'edited' });
+    await expect(page.getByTestId('plain-editor')).toHaveText('edited');
+    await expect(page.locator('.ql-editor span')).toHaveText('nested');
+  });
+
+  test('a MudSelect is restored by picking the saved item', async ({ page }) => {
+    await openForm(page);
+    await page.locator('.mud-select .mud-input-control').click();
+    await page.locator('.mud-list-item', { hasText: 'Pear' }).click();
+    await expect(page.locator('.mud-select input')).toHaveValue('Pear');
+
+    const snapshot = await dropAndReload(page);
+
+    expect(snapshot.fields.fruit).toEqual({ kind: 'mud-select', value: 'Pear' });
+    await expect(page.locator('.mud-select input')).toHaveValue('Pear');
+  });
+});
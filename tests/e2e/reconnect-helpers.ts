@@ -0,0 +1,85 @@
+import path from 'node:path';
+import { expect, type Page } from '@playwright/test';
+
+// The reconnect specs serve blazor-reconnect.js from a routed dummy origin, so they run
+// without the Demo app (see playwright.reconnect.config.ts).
+export const RECONNECT_ORIGIN = 'http://reconnect.test';
+
+const SCRIPT_PATH = path.join(
+  __dirname,
+  '../../src/TheNerdCollective.Blazor.Reconnect/wwwroot/js/blazor-reconnect.js',
+);
+
+export type SimulationStep = string | { wait: number } | { step: string; [key: string]: unknown };
+
+export interface SimulationReport {
+  state: string;
+  elapsedMs: number;
+  stepsRun: number;
+  interrupted: string | null;
+  transitions: { from: string; to: string; cause: string; at: number; expected: boolean }[];
+  events: { type: string; at: number; detail: Record<string, unknown> }[];
+  unexpected: { from: string; to: string; cause: string }[];
+}
+
+export type ReconnectPageOptions = {
+  config?: Record<string, unknown>;
+  // Page path on the dummy origin, for routePolicies and reloadUrl.
+  path?: string;
+  // Markup placed before the script.
+  body?: string;
+};
+
+// Serves every page of the dummy origin with the given config and body. Pages of the same
+// context share sessionStorage and BroadcastChannel, as tabs of one origin do.
+export async function routeReconnectOrigin(page: Page, options: ReconnectPageOptions = {}) {
+  const { config = {}, body = '' } = options;
+  await page.route(`${RECONNECT_ORIGIN}/**`, async (route) => {
+    const url = new URL(route.request().url());
+    if (url.pathname === '/blazor-reconnect.js') {
+      await route.fulfill({ path: SCRIPT_PATH, contentType: 'text/javascript' });
+      return;
+    }
+    if (url.pathname === '/health') {
+      // Server still down: a real cycle keeps pinging instead of reloading the page.
+      await route.fulfill({ status: 503, body: 'Unavailable' });
+      return;
+    }
+    await route.fulfill({
+      contentType: 'text/html',
+      body: `<!doctype html>
+<html>
+<head><title>Reconnect simulator</title></head>
+<body>
+  ${body}
+  <script>window.blazorReconnectConfig = ${JSON.stringify(config)};</script>
+  <script src="/blazor-reconnect.js"></script>
+</body>
+</html>`,
+    });
+  });
+}
+
+export async function waitForReconnectReady(page: Page) {
+  await expect
+    .poll(() => page.evaluate(() => (window as any).BlazorReconnect?.status().state))
+    .toBe('connected');
+}
+
+export async function openReconnectPage(page: Page, options: ReconnectPageOptions = {}) {
+  await routeReconnectOrigin(page, options);
+  await page.goto(`${RECONNECT_ORIGIN}${options.path ?? '/page'}`);
+  await waitForReconnectReady(page);
+}
+
+export function simulate(page: Page, steps: SimulationStep[]): Promise<SimulationReport> {
+  return page.evaluate((s) => (window as any).BlazorReconnect.simulate(s), steps);
+}
+
+export function transitionPath(report: SimulationReport) {
+  return report.transitions.map((t) => `${t.from}>${t.to}`);
+}
+
+export function reloadReason(report: SimulationReport) {
+  return report.events.find((e) => e.type === 'reload')?.detail.reason;
+}
@@ -0,0 +1,108 @@
+import { expect, test, type Page } from '@playwright/test';
+import { openReconnectPage, simulate, type SimulationReport } from './reconnect-helpers';
+
+// routePolicies / reconnectPolicies / data-reconnect-policy, resolved when the circuit drops.
+
+const POLICIES = {
+  reconnectPolicies: {
+    slow: { showDelayMilliseconds: 20_000 },
+    layout: { showDelayMilliseconds: 0 },
+    page: { showDelayMilliseconds: 12_000 },
+  },
+};
+
+function activePolicy(report: SimulationReport) {
+  return report.events.find((e) => e.type === 'disconnect')?.detail.policy ?? null;
+}
+
+function navigate(page: Page, path: string) {
+  // Enhanced navigation: the URL changes without reloading the script.
+  return page.evaluate((p) => history.pushState(null, '', p), path);
+}
+
+function status(page: Page) {
+  return page.evaluate(() => (window as any).BlazorReconnect.status());
+}
+
+test.describe('Reconnect route policies', () => {
+  test('a glob rule applies on matching paths only', async ({ page }) => {
+    await openReconnectPage(page, {
+      path: '/checkout/pay',
+      config: { ...POLICIES, routePolicies: [{ path: '/checkout/**', policy: 'slow' }] },
+    });
+
+    const checkout = await simulate(page, ['disconnect', { wait: 15_000 }]);
+    expect(checkout.unexpected).toEqual([]);
+    expect(activePolicy(checkout)).toBe('slow');
+    expect(checkout.state).toBe('grace');
+
+    await navigate(page, '/home');
+    const home = await simulate(page, ['disconnect', { wait: 6000 }]);
+    expect(activePolicy(home)).toBeNull();
+    expect(home.state).toBe('reconnecting');
+  });
+
+  test('an unknown named policy falls through to the next matching rule', async ({ page }) => {
+    await openReconnectPage(page, {
+      path: '/checkout/pay',
+      config: {
+        ...POLICIES,
+        routePolicies: [
+          { path: '/checkout/**', policy: 'missing' },
+          { path: '/checkout/**', policy: 'slow' },
+        ],
+      },
+    });
+
+    const report = await simulate(page, ['disconnect', { wait: 15_000 }]);
+    expect(activePolicy(report)).toBe('slow');
+    expect(report.state).toBe('grace');
+  });
+
+  test('the innermost data-reconnect-policy wins over the layout and routePolicies', async ({ page }) => {
+    await openReconnectPage(page, {
+      path: '/checkout/pay',
+      config: { ...POLICIES, routePolicies: [{ path: '/checkout/**', policy: 'slow' }] },
+      body: '<main data-reconnect-policy="layout"><section data-reconnect-policy="page"></section></main>',
+    });
+
+    const report = await simulate(page, ['disconnect', { wait: 6000 }]);
+    expect(report.unexpected).toEqual([]);
+    expect(activePolicy(report)).toBe('page');
+    expect(report.state).toBe('grace');
+
+    // An unusable page value is skipped; the layout's policy applies.
+    await page.locator('section').evaluate((el) => el.setAttribute('data-reconnect-policy', 'missing'));
+    const fallback = await simulate(page, ['disconnect', { wait: 1 }]);
+    expect(activePolicy(fallback)).toBe('layout');
+    expect(fallback.state).toBe('reconnecting');
+  });
+
+  test('an inline JSON policy applies', async ({ page }) => {
+    await openReconnectPage(page, {
+      body: `<div data-reconnect-policy='{"showDelayMilliseconds": 20000}'></div>`,
+    });
+
+    const report = await simulate(page, ['disconnect', { wait: 15_000 }]);
+    expect(activePolicy(report)).toBe('inline');
+    expect(report.state).toBe('grace');
+  });
+
+  test('the global config is back once a real cycle ends', async ({ page }) => {
+    await openReconnectPage(page, {
+      path: '/checkout/pay',
+      config: { ...POLICIES, routePolicies: [{ path: '/checkout/**', policy: 'slow' }] },
+    });
+
+    await page.evaluate(() => (window as any).BlazorReconnect.showModal());
+    expect(await status(page)).toMatchObject({ state: 'grace', routePolicy: 'slow' });
+
+    await page.evaluate(() => (window as any).BlazorReconnect.hideModal());
+    expect(await status(page)).toMatchObject({ state: 'connected', routePolicy: null });
+
+    await navigate(page, '/home');
+    const home = await simulate(page, ['disconnect', { wait: 6000 }]);
+    expect(activePolicy(home)).toBeNull();
+    expect(home.events.find((e) => e.type === 'modal-shown')?.at).toBe(5000);
+  });
+});
@@ -0,0 +1,165 @@
+import { expect, test } from '@playwright/test';
+import {
+  openReconnectPage,
+  reloadReason,
+  simulate,
+  transitionPath,
+} from './reconnect-helpers';
+
+// Plays the scenarios of src/TheNerdCollective.Blazor.Reconnect/docs/reconnect-requirements.md
+// through BlazorReconnect.simulate().
+
+test.describe('Reconnect simulator · requirement scenarios', () => {
+  test('1. app backgrounded: a long freeze reloads once the server answers', async ({ page }) => {
+    await openReconnectPage(page);
+
+    const report = await simulate(page, [
+      'visibility-hidden',
+      { wait: 1000 },
+      'freeze',
+      'disconnect',
+      { wait: 600_000 },
+      'ping-ok',
+      'resume',
+      'visibility-restore',
+      { wait: 5000 },
+    ]);
+
+    expect(report.unexpected).toEqual([]);
+    expect(report.state).toBe('reloading');
+    expect(transitionPath(report)).toEqual(['connected>grace', 'grace>server-back', 'server-back>reloading']);
+    expect(reloadReason(report)).toBe('server-back');
+  });
+
+  test('1. app backgrounded: a blip inside the grace period stays silent', async ({ page }) => {
+    await openReconnectPage(page);
+
+    const report = await simulate(page, ['disconnect', { wait: 1000 }, 'reconnected', { wait: 1000 }]);
+
+    expect(report.unexpected).toEqual([]);
+    expect(report.state).toBe('connected');
+    expect(report.events.map((e) => e.type)).not.toContain('modal-shown');
+  });
+
+  test('2. tab left inactive: reconnecting while hidden needs no UI', async ({ page }) => {
+    await openReconnectPage(page);
+
+    const report = await simulate(page, [
+      'visibility-hidden',
+      'disconnect',
+      { wait: 2000 },
+      'reconnected',
+      { wait: 1000 },
+      'visibility-restore',
+      { wait: 1000 },
+    ]);
+
+    expect(report.unexpected).toEqual([]);
+    expect(report.state).toBe('connected');
+    expect(transitionPath(report)).toEqual(['connected>grace', 'grace>connected']);
+  });
+
+  test('3. dev restart: Phase 2 reloads when the server is back', async ({ page }) => {
+    await openReconnectPage(page);
+
+    const report = await simulate(page, [
+      'disconnect',
+      { wait: 6000 },
+      'failed',
+      { wait: 20_000 },
+      'ping-ok',
+      { wait: 10_000 },
+    ]);
+
+    expect(report.unexpected).toEqual([]);
+    expect(report.state).toBe('reloading');
+    expect(transitionPath(report)).toEqual([
+      'connected>grace',
+      'grace>reconnecting',
+      'reconnecting>waiting',
+      'waiting>server-back',
+      'server-back>reloading',
+    ]);
+    expect(reloadReason(report)).toBe('server-back');
+  });
+
+  test('4. network drop: the circuit survives and the modal hides', async ({ page }) => {
+    await openReconnectPage(page);
+
+    const report = await simulate(page, [
+      'disconnect',
+      'offline',
+      { wait: 10_000 },
+      'online',
+      { wait: 1000 },
+      'reconnected',
+      { wait: 1000 },
+    ]);
+
+    expect(report.unexpected).toEqual([]);
+    expect(report.state).toBe('connected');
+    expect(report.events.map((e) => e.type)).not.toContain('reload');
+  });
+});
+
+test.describe('Reconnect simulator · regressions', () => {
+  // Bug 3 in BlazorServerCircuitHandler/docs/01-reconnect-analysis.md: the reconnect UI never came up.
+  test('the reconnect UI comes up after the grace period', async ({ page }) => {
+    await openReconnectPage(page);
+
+    const report = await simulate(page, ['disconnect', { wait: 6000 }]);
+
+    expect(report.unexpected).toEqual([]);
+    expect(report.state).toBe('reconnecting');
+    const shown = report.events.find((e) => e.type === 'modal-shown');
+    expect(shown?.at).toBe(5000);
+  });
+
+  // Bug 4 in the same analysis: the configuration never reached the script.
+  test('window.blazorReconnectConfig sets the grace period', async ({ page }) => {
+    await openReconnectPage(page, { config: { showDelayMilliseconds: 20_000 } });
+
+    const during = await simulate(page, ['disconnect', { wait: 15_000 }]);
+    expect(during.unexpected).toEqual([]);
+    expect(during.state).toBe('grace');
+
+    const after = await simulate(page, ['disconnect', { wait: 21_000 }]);
+    expect(after.unexpected).toEqual([]);
+    expect(after.state).toBe('reconnecting');
+  });
+
+  test('window.blazorReconnectConfig holds the modal until a ping fails', async ({ page }) => {
+    await openReconnectPage(page, {
+      config: { requireFailedPingBeforeModal: true, serverPingStartDelayMilliseconds: 30_000 },
+    });
+
+    const held = await simulate(page, ['disconnect', { wait: 20_000 }]);
+    expect(held.unexpected).toEqual([]);
+    expect(held.state).toBe('held');
+
+    const failed = await simulate(page, ['disconnect', { wait: 40_000 }]);
+    expect(failed.unexpected).toEqual([]);
+    expect(transitionPath(failed)).toEqual(['connected>grace', 'grace>held', 'held>reconnecting']);
+  });
+
+  test('a run leaves the real page alone', async ({ page }) => {
+    await openReconnectPage(page);
+    const before = await page.evaluate(() => ({
+      title: document.title,
+      storage: JSON.stringify(sessionStorage),
+    }));
+
+    const report = await simulate(page, ['disconnect', { wait: 6000 }, 'failed', { wait: 10_000 }]);
+
+    expect(report.unexpected).toEqual([]);
+    expect(report.interrupted).toBeNull();
+    expect(report.state).toBe('waiting');
+    await expect(page.locator('#blazor-reconnect-modal')).toHaveCount(0);
+    const after = await page.evaluate(() => ({
+      title: document.title,
+      storage: JSON.stringify(sessionStorage),
+      state: (window as any).BlazorReconnect.status().state,
+    }));
+    expect(after).toEqual({ ...before, state: 'connected' });
+  });
+});